@@ -16,7 +16,12 @@ export default [
         FileReader: "readonly",
         Blob: "readonly",
         URL: "readonly",
+        setTimeout: "readonly",
+        clearTimeout: "readonly",
         Event: "readonly",
+        DOMParser: "readonly",
+        Node: "readonly",
+        NodeFilter: "readonly",
         
         // Node.js globals
         require: "readonly",
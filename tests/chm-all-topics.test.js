@@ -0,0 +1,147 @@
+/**
+ * Tests for the "All topics" mode: every HTML topic as a page record
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildSystemFile, buildFullTextIndex, buildTopicFiles } = require('./chm-fixtures.js');
+
+const GUIDE_HHC = `<HTML><BODY><UL>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="User Guide">
+    <param name="Local" value="guide/index.htm">
+    </OBJECT>
+  <UL>
+    <LI> <OBJECT type="text/sitemap">
+      <param name="Name" value="Installing">
+      <param name="Local" value="guide/install.htm">
+      </OBJECT>
+  </UL>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="Release Notes">
+    <param name="Local" value="notes.htm">
+    </OBJECT>
+</UL></BODY></HTML>`;
+
+const INSTALL_TOPIC = `<html><head><title>Installing</title></head><body>
+  <h1>Installing</h1><p>Run <b>setup.exe</b>, then see <a href="../notes.htm">the notes</a>.</p>
+  <ul><li>Windows</li><li>Linux</li></ul>
+  <table><tr><th>Version</th><th>Date</th></tr><tr><td>1.0</td><td>2004</td></tr></table>
+</body></html>`;
+
+describe('All topics mode', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function guideCHM() {
+    return buildCHM([
+      { path: '/#SYSTEM', data: buildSystemFile([[0, 'guide.hhc']]) },
+      { path: '/guide.hhc', data: GUIDE_HHC },
+      { path: '/extra.htm', data: '<p>Not in the contents.</p>' },
+      { path: '/guide/install.htm', data: INSTALL_TOPIC },
+      { path: '/guide/index.htm', data: '<html><body><h2 class="title">Welcome</h2><p>Start here.</p></body></html>' },
+      { path: '/notes.htm', data: '<html><body><p>Fixed bugs.</p></body></html>' }
+    ]);
+  }
+
+  test('should read every topic with its title, TOC position and plain-text body', async () => {
+    extractor.setExtractionMode('topics');
+    await extractor.loadFile({ name: 'guide.chm', arrayBuffer: () => Promise.resolve(guideCHM()) });
+
+    expect(extractor.jsonData).toEqual([
+      { path: '/guide/index.htm', title: 'Welcome', tocPosition: '1', body: 'Welcome\n\nStart here.' },
+      {
+        path: '/guide/install.htm', title: 'Installing', tocPosition: '1.1',
+        body: 'Installing\n\nRun setup.exe, then see the notes.\n\nWindows\nLinux\n\nVersion Date\n1.0 2004'
+      },
+      { path: '/notes.htm', title: 'Release Notes', tocPosition: '2', body: 'Fixed bugs.' },
+      { path: '/extra.htm', title: null, tocPosition: null, body: 'Not in the contents.' }
+    ]);
+    expect(document.getElementById('status').textContent).toBe('✅ Conversion successful! Converted 4 topics.');
+    expect(extractor.buildJSONDocument()).toEqual({
+      source: 'guide.chm',
+      metadata: extractor.metadata,
+      pages: extractor.jsonData
+    });
+  });
+
+  test('should add a Markdown body in Markdown mode', async () => {
+    extractor.setExtractionMode('topics');
+    extractor.setDescriptionFormat('markdown');
+    await extractor.loadFile({ name: 'guide.chm', arrayBuffer: () => Promise.resolve(guideCHM()) });
+
+    const install = extractor.jsonData.find(page => page.path === '/guide/install.htm');
+    expect(install.bodyMarkdown).toBe([
+      '# Installing',
+      'Run **setup.exe**, then see [the notes](notes.htm).',
+      '- Windows\n- Linux',
+      '| Version | Date |\n| --- | --- |\n| 1.0 | 2004 |'
+    ].join('\n\n'));
+  });
+
+  test('should switch modes from the menu and re-read the loaded file', async () => {
+    await extractor.loadFile({ name: 'guide.chm', arrayBuffer: () => Promise.resolve(guideCHM()) });
+    expect(document.getElementById('status').textContent).toBe('⚠️ No API definitions found in this CHM file.');
+
+    await extractor.setExtractionMode('topics');
+    expect(extractor.jsonData).toHaveLength(4);
+    expect(document.getElementById('downloadButtons').style.display).toBe('block');
+
+    jest.spyOn(extractor, 'loadFile').mockResolvedValue();
+    const select = document.getElementById('extractionMode');
+    select.value = 'types';
+    select.dispatchEvent(new Event('change'));
+    expect(extractor.extractionMode).toBe('types');
+    expect(extractor.loadFile).toHaveBeenCalledWith(extractor.file);
+  });
+
+  test('should fall back to the first catalogue title for a topic', () => {
+    const pages = [{ path: '/notes.htm', text: '<p>Fixed bugs.</p>' }, { path: '/extra.htm', text: '<p>More.</p>' }];
+    const topics = [
+      { index: 0, title: 'Release Notes', local: 'notes.htm', inContents: true },
+      { index: 1, title: 'Notes Again', local: '/Notes.htm#top', inContents: true }
+    ];
+
+    expect(extractor.topicRecords(pages, [], topics).map(page => page.title)).toEqual(['Release Notes', null]);
+  });
+
+  test('should export the search words without entry hits', async () => {
+    const buffer = buildCHM([
+      ...buildTopicFiles([{ title: 'Release Notes', local: 'notes.htm' }]),
+      { path: '/$FIftiMain', data: buildFullTextIndex([{ word: 'bugs', occurrences: [{ topic: 0, locations: [1] }] }]) },
+      { path: '/notes.htm', data: '<html><body><p>Fixed bugs.</p></body></html>' }
+    ]);
+    extractor.setExtractionMode('topics');
+    await extractor.loadFile({ name: 'guide.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+
+    extractor.downloadSearchIndex();
+
+    expect(document.getElementById('downloadSearchBtn').style.display).toBe('');
+    const written = JSON.parse(mockBlob.mock.calls[0][0][0]);
+    expect(Object.keys(written.words)).toEqual(['bugs']);
+    expect(written.entryHits).toEqual([]);
+  });
+
+  test('should download the pages as JSON and CSV', () => {
+    extractor.extractionMode = 'topics';
+    extractor.file = { name: 'guide.chm' };
+    extractor.jsonData = [{ path: '/notes.htm', title: 'Release "Notes"', tocPosition: '2', body: 'Fixed bugs.' }];
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    const link = { click: jest.fn() };
+    jest.spyOn(document, 'createElement').mockReturnValue(link);
+
+    extractor.downloadJSON();
+    expect(link.download).toBe('chm_topics.json');
+    expect(JSON.parse(mockBlob.mock.calls[0][0][0]).pages).toEqual(extractor.jsonData);
+
+    extractor.downloadCSV();
+    expect(link.download).toBe('chm_topics.csv');
+    expect(mockBlob.mock.calls[1][0][0]).toBe('Path,Title,TOC position,Body\n"/notes.htm","Release ""Notes""","2","Fixed bugs."');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for confidence scores and the low-confidence review
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('Confidence scores', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  const source = rule => ({ path: null, offset: null, lines: [1, 1], rule });
+
+  test('should add structural evidence and repeated finds to the rule\'s score', () => {
+    const entry = {
+      type: 'Class', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'Draws itself.',
+      baseType: null, interfaces: ['IDisposable'], members: [{ kind: 'method', name: 'Draw' }], examples: [{ code: 'x' }],
+      source: source('topic title'), sources: [source('topic title'), source('topic catalogue title'), source('Class Name')]
+    };
+
+    expect(extractor.scoreEntry(entry)).toEqual({
+      score: 1,
+      reasons: [
+        'found by topic title: 0.90',
+        'namespace known: +0.05',
+        'inheritance given: +0.05',
+        'lists members: +0.05',
+        'found in 3 places: +0.10'
+      ]
+    });
+  });
+
+  test('should mark down raw-scan text that is mostly not letters', () => {
+    const entry = { type: 'Class', name: 'Widget', description: '%% 1234 ##', source: source('Class Name') };
+
+    expect(extractor.scoreEntry(entry)).toEqual({
+      score: 0.23,
+      reasons: ['found by Class Name: 0.40', 'text is 43% letters: -0.17']
+    });
+  });
+
+  test('should mark down common words and placeholder descriptions', () => {
+    const entry = { type: 'Class', name: 'manages', description: 'manages class', source: source('Class Name description') };
+
+    expect(extractor.scoreEntry(entry)).toEqual({
+      score: 0.2,
+      reasons: ['found by Class Name description: 0.50', 'name is a lowercase word: -0.20', 'no description: -0.10']
+    });
+  });
+
+  test('should rank the rules from a topic\'s own title down to bare text', () => {
+    const scores = ['topic title', 'rule "Blocks"', 'Syntax declaration', 'topic catalogue title', 'Sandcastle title',
+      '<h1>Class Name</h1>', 'Interface Name: description', 'Class Name description', 'Class Name']
+      .map(rule => extractor.scoreEntry({ type: 'Class', name: 'Widget', description: 'Draws things', source: source(rule) }).score);
+
+    expect(scores).toEqual([0.9, 0.9, 0.85, 0.8, 0.75, 0.7, 0.6, 0.5, 0.4]);
+  });
+
+  describe('threshold and review', () => {
+    const sure = { type: 'Class', name: 'Widget', fullName: 'Widget', description: 'Draws', confidence: { score: 0.9, reasons: ['found by topic title: 0.90'] } };
+    const unsure = { type: 'Class', name: 'manages', fullName: 'manages', description: 'manages class', confidence: { score: 0.2, reasons: ['name is a lowercase word: -0.20'] } };
+
+    beforeEach(() => {
+      extractor.jsonData = [sure, unsure];
+    });
+
+    test('should hide entries under the threshold from the preview and exports', () => {
+      const slider = document.getElementById('confidenceThreshold');
+      slider.value = '50';
+      slider.dispatchEvent(new Event('input'));
+
+      expect(extractor.confidenceThreshold).toBe(0.5);
+      expect(document.getElementById('confidenceValue').textContent).toBe('50%');
+      expect(extractor.buildJSONDocument().entries).toEqual([sure]);
+      expect(document.getElementById('jsonPreview').textContent).not.toContain('manages');
+    });
+
+    test('should list hidden entries for review and keep those ticked', () => {
+      extractor.setConfidenceThreshold(0.5);
+
+      const panel = document.getElementById('reviewPanel');
+      const items = document.querySelectorAll('#reviewList li');
+      expect(panel.style.display).toBe('block');
+      expect(document.getElementById('reviewSummary').textContent).toBe('Low-confidence entries: 1 hidden, 0 kept');
+      expect(items).toHaveLength(1);
+      expect(items[0].textContent).toBe(' Class manages (20%) name is a lowercase word: -0.20');
+
+      const box = items[0].querySelector('input');
+      box.checked = true;
+      box.dispatchEvent(new Event('change'));
+
+      expect(extractor.selectedEntries()).toEqual([sure, unsure]);
+      expect(document.getElementById('reviewSummary').textContent).toBe('Low-confidence entries: 0 hidden, 1 kept');
+    });
+
+    test('should hide the review when nothing is under the threshold', () => {
+      extractor.setConfidenceThreshold(0.1);
+      expect(document.getElementById('reviewPanel').style.display).toBe('none');
+      expect(extractor.selectedEntries()).toEqual([sure, unsure]);
+    });
+  });
+
+  test('should score every entry of a loaded CHM', async () => {
+    const buffer = buildCHM([
+      { path: '/widget.htm', data: '<h1>Widget Class</h1><p>Draws things.</p>' },
+      { path: '/notes.htm', data: 'Class Gadget  Holds widgets' }
+    ]);
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.jsonData.map(entry => [entry.name, entry.confidence.score])).toEqual([['Widget', 0.9], ['Gadget', 0.5]]);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for the structured CHM validation report
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('CHM diagnostics', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  const sample = options => buildCHM([{ path: '/widget.htm', data: '<h1>Class Widget</h1>\nDraws things' }], options);
+  const problems = report => report.findings.filter(finding => finding.severity !== 'info');
+
+  test('should pass every check on a well-formed file', () => {
+    const report = extractor.diagnoseCHM(sample());
+
+    expect(report.valid).toBe(true);
+    expect(report.version).toBe(3);
+    expect(report.headerSize).toBe(0x60);
+    expect(problems(report)).toEqual([]);
+    expect(report.findings.map(finding => finding.check)).toEqual([
+      'signature', 'version', 'headerLength', 'lcid', 'guid', 'guid', 'fileLength',
+      'directoryOffset', 'itspVersion', 'chunkSize', 'directoryChunks'
+    ]);
+  });
+
+  test('should accept version 2 headers', () => {
+    const buffer = sample({ headerLength: 0x58 });
+
+    expect(problems(extractor.diagnoseCHM(buffer))).toEqual([]);
+    expect(extractor.validateCHM(buffer)).toEqual({ version: 2, headerSize: 0x58 });
+  });
+
+  describe('errors', () => {
+    test('should name a missing signature', () => {
+      const bytes = new Uint8Array(sample());
+      bytes.set([0x4D, 0x5A, 0x90, 0x00]);
+
+      const report = extractor.diagnoseCHM(bytes.buffer);
+
+      expect(report.valid).toBe(false);
+      expect(report.findings).toEqual([
+        { severity: 'error', check: 'signature', message: 'Expected ITSF signature, found "MZ.."' }
+      ]);
+    });
+
+    test('should reject a header length past the end of the file', () => {
+      const buffer = sample();
+      new DataView(buffer).setUint32(8, buffer.byteLength + 1, true);
+
+      const report = extractor.diagnoseCHM(buffer);
+
+      expect(report.valid).toBe(false);
+      expect(problems(report)).toEqual([expect.objectContaining({ severity: 'error', check: 'headerLength' })]);
+    });
+  });
+
+  describe('warnings', () => {
+    test('should flag an unknown version, a missing LCID and a wrong GUID', () => {
+      const buffer = sample({ lcid: 0 });
+      const view = new DataView(buffer);
+      view.setUint32(4, 4, true);
+      view.setUint8(0x28, 0xFF);
+
+      const report = extractor.diagnoseCHM(buffer);
+
+      expect(report.valid).toBe(true);
+      expect(problems(report).map(finding => finding.check)).toEqual(['version', 'lcid', 'guid']);
+      expect(problems(report)[2].message).toBe(
+        'GUID at 0x28 is {7C01FDFF-7BAA-11D0-9E0C-00A0C922E6EC}, expected {7C01FD11-7BAA-11D0-9E0C-00A0C922E6EC}'
+      );
+    });
+
+    test('should flag a truncated file', () => {
+      const full = sample();
+      const report = extractor.diagnoseCHM(full.slice(0, full.byteLength - 10));
+
+      expect(problems(report)).toEqual([expect.objectContaining({
+        severity: 'warning',
+        check: 'fileLength',
+        message: `Header section 0 records a file length of ${full.byteLength} bytes, but the file is ${full.byteLength - 10} bytes (truncated?)`
+      })]);
+    });
+
+    test('should flag a directory offset past the end of the file', () => {
+      const buffer = sample();
+      new DataView(buffer).setBigUint64(0x48, BigInt(buffer.byteLength), true);
+
+      const report = extractor.diagnoseCHM(buffer);
+
+      expect(report.valid).toBe(true);
+      expect(problems(report).map(finding => finding.check)).toEqual(['directoryOffset']);
+    });
+
+    test('should check the ITSP version and chunk size', () => {
+      const buffer = sample();
+      const view = new DataView(buffer);
+      view.setUint32(0x78 + 4, 2, true);
+      view.setUint32(0x78 + 0x10, 3000, true);
+
+      const report = extractor.diagnoseCHM(buffer);
+
+      expect(problems(report).map(finding => finding.check)).toEqual(['itspVersion', 'chunkSize', 'directoryChunks']);
+    });
+
+    test('should flag a missing ITSP header', () => {
+      const bytes = new Uint8Array(sample());
+      bytes[0x78] = 0;
+
+      expect(problems(extractor.diagnoseCHM(bytes.buffer)).map(finding => finding.check)).toEqual(['itspSignature']);
+    });
+  });
+
+  describe('UI', () => {
+    test('should show the failing check in the status and open the report', async () => {
+      const bytes = new Uint8Array(sample());
+      bytes[0] = 0x58;
+
+      await extractor.loadFile({ name: 'broken.chm', arrayBuffer: () => Promise.resolve(bytes.buffer) });
+
+      expect(document.getElementById('status').textContent)
+        .toBe('Invalid CHM format: Expected ITSF signature, found "XTSF".');
+      const panel = document.getElementById('diagnostics');
+      expect(panel.style.display).toBe('block');
+      expect(panel.open).toBe(true);
+      expect(document.getElementById('diagnosticsSummary').textContent).toBe('File diagnostics: 1 error(s), 0 warning(s)');
+      expect(document.querySelector('#diagnosticsList li').className).toBe('diagnostic-error');
+    });
+
+    test('should keep the report closed for a valid file', async () => {
+      jest.spyOn(extractor, 'diagnoseCHM');
+      await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(sample()) });
+
+      expect(extractor.diagnoseCHM).toHaveBeenCalledTimes(1);
+
+      expect(document.getElementById('diagnostics').open).toBe(false);
+      expect(document.querySelectorAll('#diagnosticsList li')).toHaveLength(extractor.diagnostics.findings.length);
+    });
+
+    test('should download the report with the source file name', async () => {
+      await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(sample({ lcid: 0 })) });
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      const link = { click: jest.fn() };
+      jest.spyOn(document, 'createElement').mockReturnValue(link);
+
+      extractor.downloadDiagnostics();
+
+      const written = JSON.parse(mockBlob.mock.calls[0][0][0]);
+      expect(link.download).toBe('chm_diagnostics.json');
+      expect(written.source).toBe('widgets.chm');
+      expect(written.valid).toBe(true);
+      expect(written.findings).toContainEqual(expect.objectContaining({ severity: 'warning', check: 'lcid' }));
+    });
+  });
+});
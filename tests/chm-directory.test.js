@@ -0,0 +1,107 @@
+/**
+ * Tests for the ITSF/ITSP directory parser
+ * Uses synthetic CHM containers built by chm-fixtures.js
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, encInt } = require('./chm-fixtures.js');
+
+describe('CHM directory parsing', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  describe('readEncInt', () => {
+    test('should decode single-byte values', () => {
+      const result = extractor.readEncInt(new Uint8Array([0x05]), 0);
+      expect(result).toEqual({ value: 5, offset: 1 });
+    });
+
+    test('should decode multi-byte big-endian values', () => {
+      const bytes = new Uint8Array([0x00, ...encInt(300000)]);
+      const result = extractor.readEncInt(bytes, 1);
+      expect(result.value).toBe(300000);
+      expect(result.offset).toBe(bytes.length);
+    });
+
+    test('should throw on a truncated value', () => {
+      expect(() => extractor.readEncInt(new Uint8Array([0x81, 0x82]), 0)).toThrow('Truncated');
+    });
+  });
+
+  describe('parseDirectory', () => {
+    test('should list every internal file with section, offset and length', () => {
+      const buffer = buildCHM([
+        { path: '/#SYSTEM', data: 'abc' },
+        { path: '/index.htm', data: '<html>Hello</html>' },
+        { path: '/images/logo.gif', data: 'GIF89a' }
+      ]);
+      const validation = extractor.validateCHM(buffer);
+
+      const directory = extractor.parseDirectory(buffer, validation);
+
+      expect(directory.chunkSize).toBe(4096);
+      expect(directory.entries).toEqual([
+        { path: '/#SYSTEM', section: 0, offset: 0, length: 3 },
+        { path: '/index.htm', section: 0, offset: 3, length: 18 },
+        { path: '/images/logo.gif', section: 0, offset: 21, length: 6 }
+      ]);
+    });
+
+    test('should follow the PMGL chain across several listing chunks', () => {
+      const files = [];
+      for (let i = 0; i < 40; i++) {
+        files.push({ path: `/topics/topic${i}.htm`, data: `Topic ${i}` });
+      }
+      const buffer = buildCHM(files, { chunkSize: 256 });
+
+      const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+
+      expect(directory.entries).toHaveLength(40);
+      expect(directory.entries[39].path).toBe('/topics/topic39.htm');
+    });
+
+    test('should place content section 0 after the directory for version 2 headers', () => {
+      const buffer = buildCHM([{ path: '/a.htm', data: 'A' }], { headerLength: 0x58 });
+      const validation = extractor.validateCHM(buffer);
+      const directory = extractor.parseDirectory(buffer, validation);
+
+      const data = extractor.readDirectoryFile(buffer, directory, directory.entries[0]);
+      expect(String.fromCharCode(...data)).toBe('A');
+    });
+
+    test('should throw when the ITSP header is missing', () => {
+      const buffer = buildCHM([{ path: '/a.htm', data: 'A' }]);
+      new Uint8Array(buffer)[0x78] = 0;
+
+      expect(() => extractor.parseDirectory(buffer, extractor.validateCHM(buffer))).toThrow('ITSP');
+    });
+  });
+
+  describe('findDirectoryEntry', () => {
+    test('should look up paths case-insensitively', () => {
+      const buffer = buildCHM([{ path: '/Index.HTM', data: 'x' }]);
+      const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+
+      expect(extractor.findDirectoryEntry(directory, '/index.htm').path).toBe('/Index.HTM');
+      expect(extractor.findDirectoryEntry(directory, '/missing.htm')).toBeNull();
+    });
+  });
+
+  describe('extractCHMContent', () => {
+    test('should read HTML topics listed in the directory', () => {
+      const buffer = buildCHM([
+        { path: '/#SYSTEM', data: 'Class Ignored  not a topic' },
+        { path: '/widget.htm', data: '<h1>Class Widget</h1>\nDraws things on screen' }
+      ]);
+
+      const content = extractor.extractCHMContent(buffer, extractor.validateCHM(buffer));
+
+      expect(extractor.directory.entries).toHaveLength(2);
+      expect(content).toContain('Class Widget');
+      expect(content).not.toContain('Ignored');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for reading classes from topic document structure
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('DOM-based topic parsing', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  const SANDCASTLE_TOPIC = `<html><head><title>Widget Class</title>
+    <script type="text/javascript">var Class = "Class Bogus  from a script";</script></head>
+    <body><div id="header"><h1>Widget Class</h1></div>
+    <div id="mainBody"><div class="summary">Represents a <b>widget</b> that draws itself.</div>
+    <h4 class="heading">Syntax</h4><pre>public class Widget : Control</pre>
+    <h4 class="heading">Remarks</h4><p>Widgets are drawn in order.</p></div></body></html>`;
+
+  function entriesFor(html) {
+    return extractor.classesFromPages([{ path: '/topic.htm', text: html }]);
+  }
+
+  test('should read the class from the heading and the summary block', () => {
+    expect(entriesFor(SANDCASTLE_TOPIC)).toEqual([
+      {
+        type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget',
+        description: 'Represents a widget that draws itself.',
+        baseType: 'Control', derivedTypes: [], interfaces: [], members: [], examples: [],
+        source: { path: '/topic.htm', offset: null, lines: [3, 4], rule: 'topic title' }
+      }
+    ]);
+  });
+
+  test('should ignore text inside script blocks', () => {
+    const entries = entriesFor('<html><body><script>document.write("Class Bogus  junk")</script><p>Overview</p></body></html>');
+    expect(entries).toEqual([]);
+  });
+
+  test('should join headings split across lines', () => {
+    expect(entriesFor('<h1>Gadget\n   Class</h1>\n<p>Holds widgets.</p>')).toEqual([
+      {
+        type: 'Class', name: 'Gadget', namespace: null, fullName: 'Gadget',
+        description: 'Holds widgets.',
+        baseType: null, derivedTypes: [], interfaces: [], members: [], examples: [],
+        source: { path: '/topic.htm', offset: null, lines: [1, 3], rule: 'topic title' }
+      }
+    ]);
+  });
+
+  test('should not turn table cells into entries', () => {
+    const html = `<h1>Overview</h1><table>
+      <tr><td>Class Widget</td><td>Draws</td></tr>
+      <tr><td>Class Gadget</td><td>Holds</td></tr></table>`;
+    expect(entriesFor(html)).toEqual([]);
+  });
+
+  test('should take the name from the Syntax declaration when the title is bare', () => {
+    const html = '<title>Widget</title><h1>Widget</h1><h2>Syntax</h2><pre>Public Class Widget</pre>' +
+      '<h2>Remarks</h2><p>Only remarks here.</p>';
+    expect(entriesFor(html)).toEqual([{
+      type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget',
+      description: 'Only remarks here.',
+      baseType: null, derivedTypes: [], interfaces: [], members: [], examples: [],
+      source: { path: '/topic.htm', offset: null, lines: [1, 1], rule: 'Syntax declaration' }
+    }]);
+  });
+
+  test('should fall back to the Remarks section for the description', () => {
+    const html = '<h1>Widget Class</h1><h2>Remarks</h2><p>Draws <i>things</i>.</p>';
+    expect(entriesFor(html)[0].description).toBe('Draws things.');
+  });
+
+  test('should skip member list topics', () => {
+    expect(entriesFor('<h1>Widget Class Members</h1><p>Methods and properties.</p>')).toEqual([]);
+  });
+
+  test('should keep the text patterns for topics without markup', () => {
+    expect(entriesFor('Class Widget  Draws things')).toEqual([
+      {
+        type: 'Class', name: 'Widget', description: 'Draws things',
+        source: { path: '/topic.htm', offset: null, lines: [1, 1], rule: 'Class Name description' }
+      }
+    ]);
+  });
+
+  test('should use the text patterns when no HTML parser is available', () => {
+    const { DOMParser } = global;
+    delete global.DOMParser;
+    try {
+      expect(extractor.parseHTML('<h1>Class Widget</h1>')).toBeNull();
+      expect(entriesFor('<h1>Class Widget</h1>\nDraws things')).toEqual([
+        {
+          type: 'Class', name: 'Widget', description: 'Draws things',
+          source: { path: '/topic.htm', offset: null, lines: [1, 2], rule: 'Class Name' }
+        }
+      ]);
+    } finally {
+      global.DOMParser = DOMParser;
+    }
+  });
+
+  test('should parse every decompressed topic when loading a CHM', async () => {
+    const buffer = buildCHM([
+      { path: '/html/widget.htm', data: SANDCASTLE_TOPIC, compressed: true },
+      { path: '/html/overview.htm', data: '<h1>Overview</h1><p>Class Junk  appears in prose.</p>', compressed: true }
+    ]);
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.jsonData).toEqual([
+      {
+        type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget',
+        description: 'Represents a widget that draws itself.',
+        baseType: 'Control', derivedTypes: [], interfaces: [], members: [], examples: [],
+        source: { path: '/html/widget.htm', offset: null, lines: [3, 4], rule: 'topic title' },
+        confidence: { score: 0.95, reasons: ['found by topic title: 0.90', 'inheritance given: +0.05'] }
+      }
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for LCID-derived codepage decoding
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildSystemFile } = require('./chm-fixtures.js');
+
+describe('Codepage decoding', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  // "Widget" in Japanese and Traditional Chinese, in their legacy codepages
+  const SHIFT_JIS_WIDGET = new Uint8Array([0x83, 0x45, 0x83, 0x42, 0x83, 0x57, 0x83, 0x46, 0x83, 0x62, 0x83, 0x67]);
+  const BIG5_WIDGET = new Uint8Array([0xA4, 0xB8, 0xA5, 0xF3]);
+
+  function concat(...parts) {
+    const bytes = parts.map(part => (part instanceof Uint8Array ? part : new TextEncoder().encode(part)));
+    const out = new Uint8Array(bytes.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    bytes.forEach(part => {
+      out.set(part, pos);
+      pos += part.length;
+    });
+    return out;
+  }
+
+  describe('encodingForLCID', () => {
+    test.each([
+      [0x0409, 'windows-1252'],
+      [0x0411, 'shift_jis'],
+      [0x0804, 'gbk'],
+      [0x0404, 'big5'],
+      [0x0C04, 'big5'],
+      [0x0412, 'euc-kr'],
+      [0x0419, 'windows-1251'],
+      [0x041A, 'windows-1250'],
+      [0x0C1A, 'windows-1251'],
+      [0x0000, 'windows-1252']
+    ])('should map LCID %i to %s', (lcid, encoding) => {
+      expect(extractor.encodingForLCID(lcid)).toBe(encoding);
+    });
+  });
+
+  describe('decodeText', () => {
+    test('should decode double-byte codepages', () => {
+      extractor.encoding = 'shift_jis';
+      expect(extractor.decodeText(SHIFT_JIS_WIDGET)).toBe('ウィジェット');
+    });
+
+    test('should let a byte order mark override the codepage', () => {
+      extractor.encoding = 'shift_jis';
+      expect(extractor.decodeText(concat(new Uint8Array([0xEF, 0xBB, 0xBF]), 'Café'))).toBe('Café');
+    });
+  });
+
+  describe('detectEncoding', () => {
+    test('should prefer the #SYSTEM LCID over the ITSF header', () => {
+      const lcidRecord = new Uint8Array(4);
+      new DataView(lcidRecord.buffer).setUint32(0, 0x0404, true);
+      const buffer = buildCHM([{ path: '/#SYSTEM', data: buildSystemFile([[4, lcidRecord]]) }], { lcid: 0x0409 });
+      const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+
+      expect(extractor.detectEncoding(buffer, directory)).toBe('big5');
+    });
+
+    test('should fall back to the ITSF header without a directory', () => {
+      const buffer = buildCHM([], { lcid: 0x0411 });
+      expect(extractor.detectEncoding(buffer, null)).toBe('shift_jis');
+    });
+
+    test('should use the codepage chosen in the UI', () => {
+      const buffer = buildCHM([], { lcid: 0x0411 });
+      extractor.setCodepage('gbk');
+      expect(extractor.detectEncoding(buffer, null)).toBe('gbk');
+    });
+  });
+
+  test('should decode every topic and the metadata of a Japanese CHM as Shift_JIS', async () => {
+    const buffer = buildCHM([
+      { path: '/#SYSTEM', data: buildSystemFile([[3, concat(SHIFT_JIS_WIDGET, '\0')]]) },
+      { path: '/widget.htm', data: concat('<h1>Class Widget</h1>\n', SHIFT_JIS_WIDGET), compressed: true }
+    ], { lcid: 0x0411 });
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    const document = extractor.buildJSONDocument();
+
+    expect(document.metadata.title).toBe('ウィジェット');
+    expect(document.metadata.encoding).toBe('shift_jis');
+    expect(document.entries).toEqual([{
+      type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget',
+      description: 'ウィジェット',
+      baseType: null, derivedTypes: [], interfaces: [], members: [], examples: [],
+      source: { path: '/widget.htm', offset: null, lines: [1, 2], rule: 'topic title' },
+      confidence: { score: 0.9, reasons: ['found by topic title: 0.90'] }
+    }]);
+  });
+
+  test('should re-read the loaded file when the codepage changes', async () => {
+    const buffer = buildCHM([
+      { path: '/widget.htm', data: concat('<h1>Class Widget</h1>\n', BIG5_WIDGET) }
+    ], { lcid: 0x0411 });
+    const file = { name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) };
+    await extractor.loadFile(file);
+
+    await extractor.setCodepage('big5');
+
+    expect(extractor.encoding).toBe('big5');
+    expect(extractor.jsonData[0].description).toBe('元件');
+  });
+
+  test('should apply the codepage picked in the select', () => {
+    const select = document.getElementById('codepageSelect');
+    extractor = new CHMJsonExtractor();
+
+    select.value = 'shift_jis';
+    select.dispatchEvent(new Event('change'));
+    expect(extractor.codepageOverride).toBe('shift_jis');
+
+    select.value = '';
+    select.dispatchEvent(new Event('change'));
+    expect(extractor.codepageOverride).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for code examples, their languages and the examples download
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+
+describe('Code examples', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function entriesFor(pages) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })));
+  }
+
+  test('should keep Sandcastle example tabs apart from the Syntax section, whitespace intact', () => {
+    const [widget] = entriesFor([['/T_Widget.htm', `<h1>Widget Class</h1><div class="summary">Draws things.</div>
+      <h2>Syntax</h2>
+      <div class="codeSnippetContainer">
+        <div class="codeSnippetContainerTabs"><div class="codeSnippetContainerTab">C#</div></div>
+        <div class="codeSnippetContainerCode"><pre>public class Widget</pre></div>
+      </div>
+      <h2>Examples</h2>
+      <div class="codeSnippetContainer">
+        <div class="codeSnippetContainerTabs">
+          <div class="codeSnippetContainerTab">C#</div><div class="codeSnippetContainerTab">VB</div>
+        </div>
+        <div class="codeSnippetContainerCode"><pre>var widget = new Widget();
+if (widget.Visible)
+    widget.Draw();</pre></div>
+        <div class="codeSnippetContainerCode"><pre>Dim widget As New Widget()</pre></div>
+      </div>`]]);
+
+    expect(widget.description).toBe('Draws things.');
+    expect(widget.examples).toEqual([
+      { language: 'C#', code: 'var widget = new Widget();\nif (widget.Visible)\n    widget.Draw();' },
+      { language: 'Visual Basic', code: 'Dim widget As New Widget()' }
+    ]);
+  });
+
+  test('should link examples in a member topic to the member', () => {
+    const entries = entriesFor([
+      ['/T_Widget.htm', `<h1>Widget Class</h1><p>Draws things.</p>
+        <h2>Methods</h2><table><tr><td><a href="M_Draw.htm">Draw</a></td><td>Draws it.</td></tr></table>`],
+      ['/M_Draw.htm', `<h1>Widget.Draw Method</h1><p>Draws it.</p>
+        <h2>Example</h2><pre class="lang-cpp">widget-&gt;Draw();</pre>`]
+    ]);
+
+    expect(entries[0].examples).toEqual([]);
+    expect(entries[0].members[0].examples).toEqual([{ language: 'C++', code: 'widget->Draw();' }]);
+    expect(extractor.collectExamples(entries)).toEqual([
+      { type: 'Widget', member: 'Draw', language: 'C++', code: 'widget->Draw();' }
+    ]);
+  });
+
+  test('should join the lines of a Doxygen fragment and leave the member\'s code to the member', () => {
+    const [widget] = entriesFor([['/class_widget.html', `<div class="title">Widget Class Reference</div>
+      <div class="textblock"><p>Draws things.</p>
+        <div class="fragment"><div class="line">Widget w;</div><div class="line">  w.draw(canvas);</div></div>
+      </div>
+      <div class="memitem"><div class="memproto">void Widget::draw (const Canvas &amp; canvas)</div>
+        <div class="memdoc"><pre>w.draw(c);</pre></div></div>`]]);
+
+    expect(widget.examples).toEqual([{ language: null, code: 'Widget w;\n  w.draw(canvas);' }]);
+  });
+
+  test('should skip a Javadoc class declaration', () => {
+    const [widget] = entriesFor([['/Widget.html', `<title>Widget</title><h2 class="title">Class Widget</h2>
+      <pre>public class Widget
+extends Control</pre><div class="block">Draws things.</div>`]]);
+
+    expect(widget.examples).toEqual([]);
+  });
+
+  test.each([
+    ['<pre codeLanguage="VisualBasic">x = 1</pre>', 'Visual Basic'],
+    ['<pre><code class="language-cs">x = 1;</code></pre>', 'C#'],
+    ['<p>JScript</p><pre>x = 1;</pre>', 'JScript'],
+    ['<pre>Dim x As Integer = 1</pre>', 'Visual Basic'],
+    ['<pre>#include &lt;widget.h&gt;</pre>', 'C++'],
+    ['<pre>var size : int = widget.Size;</pre>', 'JScript'],
+    ['<pre>using System;\nclass A {}</pre>', 'C#'],
+    ['<pre>x = 1</pre>', null]
+  ])('should read the language of %s', (html, language) => {
+    const doc = extractor.parseHTML(html);
+
+    expect(extractor.codeLanguage(doc.querySelector('pre'), doc.querySelector('pre').textContent)).toBe(language);
+  });
+
+  test('should download every example as JSON', () => {
+    extractor.jsonData = [{
+      type: 'Class', name: 'Widget', namespace: 'Widgets', fullName: 'Widgets.Widget',
+      examples: [{ language: 'C#', code: 'new Widget();' }],
+      members: [{ kind: 'method', name: 'Draw', examples: [{ language: null, code: 'Draw();' }] }]
+    }];
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    global.URL.createObjectURL = jest.fn();
+    const link = { click: jest.fn() };
+    jest.spyOn(document, 'createElement').mockReturnValue(link);
+
+    extractor.downloadExamples();
+
+    expect(link.download).toBe('chm_examples.json');
+    expect(JSON.parse(mockBlob.mock.calls[0][0][0]).examples).toEqual([
+      { type: 'Widgets.Widget', member: null, language: 'C#', code: 'new Widget();' },
+      { type: 'Widgets.Widget', member: 'Draw', language: null, code: 'Draw();' }
+    ]);
+  });
+});
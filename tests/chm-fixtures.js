@@ -0,0 +1,431 @@
+/**
+ * Builders for synthetic CHM files used by the format tests
+ * Produces minimal but structurally valid ITSF/ITSP containers in memory
+ */
+
+const encoder = new TextEncoder();
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  return encoder.encode(String(data));
+}
+
+function encInt(value) {
+  const out = [value % 128];
+  let rest = Math.floor(value / 128);
+  while (rest > 0) {
+    out.unshift((rest % 128) | 0x80);
+    rest = Math.floor(rest / 128);
+  }
+  return out;
+}
+
+function buildListingChunks(entries, chunkSize) {
+  const chunks = [];
+  let current = [];
+  let used = 0x14;
+
+  entries.forEach(entry => {
+    const name = toBytes(entry.path);
+    const record = [
+      ...encInt(name.length), ...name,
+      ...encInt(entry.section), ...encInt(entry.offset), ...encInt(entry.length)
+    ];
+    // Keep two bytes free at the end for the quickref entry count
+    if (used + record.length > chunkSize - 2 && current.length) {
+      chunks.push(current);
+      current = [];
+      used = 0x14;
+    }
+    current.push(record);
+    used += record.length;
+  });
+  chunks.push(current);
+
+  return chunks.map((records, index) => {
+    const chunk = new Uint8Array(chunkSize);
+    const view = new DataView(chunk.buffer);
+    chunk.set(encoder.encode('PMGL'), 0);
+    view.setInt32(0x0C, index - 1, true);
+    view.setInt32(0x10, index + 1 < chunks.length ? index + 1 : -1, true);
+    let pos = 0x14;
+    records.forEach(record => {
+      chunk.set(record, pos);
+      pos += record.length;
+    });
+    view.setUint32(4, chunkSize - pos, true);
+    view.setUint16(chunkSize - 2, records.length, true);
+    return chunk;
+  });
+}
+
+/**
+ * Build a #SYSTEM file from [code, value] records. String values are
+ * null-terminated; Uint8Array values are copied as-is.
+ */
+function buildSystemFile(records, version = 3) {
+  const parts = records.map(([code, value]) => {
+    const data = value instanceof Uint8Array ? value : toBytes(`${value}\0`);
+    const record = new Uint8Array(4 + data.length);
+    const view = new DataView(record.buffer);
+    view.setUint16(0, code, true);
+    view.setUint16(2, data.length, true);
+    record.set(data, 4);
+    return record;
+  });
+
+  const out = new Uint8Array(4 + parts.reduce((sum, part) => sum + part.length, 0));
+  new DataView(out.buffer).setUint32(0, version, true);
+  let pos = 4;
+  parts.forEach(part => {
+    out.set(part, pos);
+    pos += part.length;
+  });
+  return out;
+}
+
+/**
+ * Build #TOPICS, #STRINGS, #URLTBL and #URLSTR for a list of topics.
+ * #URLTBL is laid out in 4096-byte blocks of 341 records, as HTML Help writes it.
+ * @param {Array<{title: string|null, local: string, inContents?: boolean}>} topics
+ */
+function buildTopicFiles(topics) {
+  const strings = [0];
+  const urlStrings = [0];
+  const topicsFile = new Uint8Array(topics.length * 16);
+  const urlTable = new Uint8Array(Math.ceil(topics.length / 341) * 4096);
+  const topicsView = new DataView(topicsFile.buffer);
+  const urlTableView = new DataView(urlTable.buffer);
+
+  topics.forEach((topic, index) => {
+    let titleOffset = -1;
+    if (topic.title !== null) {
+      titleOffset = strings.length;
+      strings.push(...toBytes(topic.title), 0);
+    }
+    const urlStringOffset = urlStrings.length;
+    urlStrings.push(0, 0, 0, 0, 0, 0, 0, 0, ...toBytes(topic.local), 0);
+    const urlTableOffset = Math.floor(index / 341) * 4096 + (index % 341) * 12;
+
+    urlTableView.setUint32(urlTableOffset + 4, index, true);
+    urlTableView.setUint32(urlTableOffset + 8, urlStringOffset, true);
+    topicsView.setInt32(index * 16 + 4, titleOffset, true);
+    topicsView.setUint32(index * 16 + 8, urlTableOffset, true);
+    topicsView.setUint16(index * 16 + 12, topic.inContents === false ? 2 : 6, true);
+  });
+
+  return [
+    { path: '/#TOPICS', data: topicsFile },
+    { path: '/#STRINGS', data: Uint8Array.from(strings) },
+    { path: '/#URLTBL', data: urlTable },
+    { path: '/#URLSTR', data: Uint8Array.from(urlStrings) }
+  ];
+}
+
+/**
+ * Write the word location codes for one word: per document a byte-aligned run of
+ * scale-2 s/r integers (document delta, location count, location deltas).
+ */
+function encodeWordLocations(occurrences, [docRoot, countRoot, locationRoot]) {
+  const bits = [];
+  const writeSR = (value, root) => {
+    if (value < 2 ** root) {
+      bits.push(0);
+      for (let i = root - 1; i >= 0; i--) bits.push((value >> i) & 1);
+      return;
+    }
+    const top = Math.floor(Math.log2(value));
+    for (let i = 0; i < top - root + 1; i++) bits.push(1);
+    bits.push(0);
+    for (let i = top - 1; i >= 0; i--) bits.push((value >> i) & 1);
+  };
+
+  let topic = 0;
+  occurrences.forEach(occurrence => {
+    while (bits.length % 8) bits.push(0);
+    writeSR(occurrence.topic - topic, docRoot);
+    topic = occurrence.topic;
+    writeSR(occurrence.locations.length, countRoot);
+    let location = 0;
+    occurrence.locations.forEach(next => {
+      writeSR(next - location, locationRoot);
+      location = next;
+    });
+  });
+  while (bits.length % 8) bits.push(0);
+
+  const out = new Uint8Array(bits.length / 8);
+  bits.forEach((bit, i) => { out[i >> 3] |= bit << (7 - (i & 7)); });
+  return out;
+}
+
+function leVarint(value) {
+  const out = [];
+  do {
+    out.push((value & 0x7F) | (value >= 0x80 ? 0x80 : 0));
+    value = Math.floor(value / 128);
+  } while (value > 0);
+  return out;
+}
+
+/**
+ * Build a $FIftiMain full-text index. Words must be sorted; small node lengths
+ * spread them over several leaves under a single index node.
+ * @param {Array<{word: string, inTitle?: boolean, occurrences: Array<{topic: number, locations: number[]}>}>} words
+ * @param {{nodeLength?: number, roots?: number[]}} options
+ */
+function buildFullTextIndex(words, options = {}) {
+  const { nodeLength = 4096, roots = [2, 1, 3] } = options;
+  const headerLength = 0x400;
+
+  const wlcParts = [];
+  let wlcLength = 0;
+  const records = words.map(({ word, inTitle = false, occurrences }) => {
+    const wlc = encodeWordLocations(occurrences, roots);
+    const record = { word: toBytes(word), inTitle, count: occurrences.length, offset: headerLength + wlcLength, size: wlc.length };
+    wlcParts.push(wlc);
+    wlcLength += wlc.length;
+    return record;
+  });
+
+  // Pack leaves, front-compressing each word against the previous one in the same leaf
+  const leafEntry = (record, previous) => {
+    let prefix = 0;
+    while (previous && prefix < previous.length && prefix < record.word.length && previous[prefix] === record.word[prefix]) {
+      prefix++;
+    }
+    const suffix = record.word.subarray(prefix);
+    const count = leVarint(record.count);
+    return {
+      bytes: [suffix.length + 1, prefix, ...suffix, record.inTitle ? 1 : 0, ...count, 0, 0, 0, 0, 0, 0, ...leVarint(record.size)],
+      wlcAt: 3 + suffix.length + count.length,
+      offset: record.offset
+    };
+  };
+  const leaves = [];
+  let leaf = null;
+  records.forEach(record => {
+    let entry = leaf && leafEntry(record, leaf.words[leaf.words.length - 1]);
+    if (!leaf || leaf.used + entry.bytes.length > nodeLength) {
+      leaf = { words: [], entries: [], used: 8 };
+      leaves.push(leaf);
+      entry = leafEntry(record, null);
+    }
+    leaf.words.push(record.word);
+    leaf.entries.push(entry);
+    leaf.used += entry.bytes.length;
+  });
+
+  const leavesStart = headerLength + wlcLength;
+  const rootOffset = leavesStart + leaves.length * nodeLength;
+  const out = new Uint8Array(rootOffset + nodeLength);
+  const view = new DataView(out.buffer);
+
+  let pos = headerLength;
+  wlcParts.forEach(part => {
+    out.set(part, pos);
+    pos += part.length;
+  });
+
+  leaves.forEach((node, index) => {
+    const start = leavesStart + index * nodeLength;
+    view.setUint32(start, index + 1 < leaves.length ? start + nodeLength : 0, true);
+    view.setUint16(start + 6, nodeLength - node.used, true);
+    let at = start + 8;
+    node.entries.forEach(entry => {
+      out.set(entry.bytes, at);
+      view.setUint32(at + entry.wlcAt, entry.offset, true);
+      at += entry.bytes.length;
+    });
+  });
+
+  // One index node listing the last word of every leaf
+  let at = rootOffset + 2;
+  leaves.forEach((node, index) => {
+    const word = node.words[node.words.length - 1];
+    out.set([word.length + 1, 0, ...word], at);
+    view.setUint32(at + 2 + word.length, leavesStart + index * nodeLength, true);
+    at += 2 + word.length + 6;
+  });
+  view.setUint16(rootOffset, rootOffset + nodeLength - at, true);
+
+  view.setUint32(4, words.length ? Math.max(...words.flatMap(w => w.occurrences.map(o => o.topic))) + 1 : 0, true);
+  view.setUint32(0x14, rootOffset, true);
+  view.setUint16(0x18, 2, true);
+  out.set([2, roots[0], 2, roots[1], 2, roots[2]], 0x1E);
+  view.setUint32(0x2E, nodeLength, true);
+  return out;
+}
+
+/**
+ * Wrap data in LZX "uncompressed" blocks, one per 32 KB frame, the way the
+ * MSCompressed section stores it, and return the frame offsets for the reset table.
+ */
+function lzxStore(data, framesPerReset = 2) {
+  const frameSize = 0x8000;
+  const parts = [];
+  const blockOffsets = [];
+  let length = 0;
+
+  for (let start = 0; start < data.length; start += frameSize) {
+    const frame = data.subarray(start, Math.min(start + frameSize, data.length));
+    const first = (start / frameSize) % framesPerReset === 0;
+    // Block header bits: [Intel E8 flag after a reset] type=3, 24-bit length; then pad to 32 bits
+    const headerBits = first ? 28 : 27;
+    const value = ((3 << 24) | frame.length) >>> 0;
+    const packed = (value << (32 - headerBits)) >>> 0;
+    const header = new Uint8Array(16);
+    const view = new DataView(header.buffer);
+    view.setUint16(0, packed >>> 16, true);
+    view.setUint16(2, packed & 0xFFFF, true);
+    view.setUint32(4, 1, true);
+    view.setUint32(8, 1, true);
+    view.setUint32(12, 1, true);
+
+    blockOffsets.push(length);
+    parts.push(header, frame);
+    length += header.length + frame.length;
+    if (frame.length & 1) {
+      parts.push(new Uint8Array(1));
+      length++;
+    }
+  }
+
+  const content = new Uint8Array(length);
+  let pos = 0;
+  parts.forEach(part => {
+    content.set(part, pos);
+    pos += part.length;
+  });
+  return { content, blockOffsets };
+}
+
+function buildCompressedSection(files, framesPerReset) {
+  let total = 0;
+  const entries = files.map(file => {
+    const data = toBytes(file.data);
+    const entry = { path: file.path, section: 1, offset: total, length: data.length, data };
+    total += data.length;
+    return entry;
+  });
+  const stream = new Uint8Array(total);
+  entries.forEach(entry => stream.set(entry.data, entry.offset));
+
+  const { content, blockOffsets } = lzxStore(stream, framesPerReset);
+
+  // ControlData version 2: reset interval and window size in 32 KB units (64 KB window)
+  const control = new Uint8Array(28);
+  const controlView = new DataView(control.buffer);
+  controlView.setUint32(0, 6, true);
+  control.set(encoder.encode('LZXC'), 4);
+  controlView.setUint32(8, 2, true);
+  controlView.setUint32(12, framesPerReset, true);
+  controlView.setUint32(16, 2, true);
+  controlView.setUint32(20, 1, true);
+
+  const resetTable = new Uint8Array(0x28 + blockOffsets.length * 8);
+  const tableView = new DataView(resetTable.buffer);
+  tableView.setUint32(0, 2, true);
+  tableView.setUint32(4, blockOffsets.length, true);
+  tableView.setUint32(8, 8, true);
+  tableView.setUint32(12, 0x28, true);
+  tableView.setBigUint64(16, BigInt(total), true);
+  tableView.setBigUint64(24, BigInt(content.length), true);
+  tableView.setBigUint64(32, 0x8000n, true);
+  blockOffsets.forEach((offset, i) => tableView.setBigUint64(0x28 + i * 8, BigInt(offset), true));
+
+  return {
+    entries: entries.map(({ path, section, offset, length }) => ({ path, section, offset, length })),
+    files: [
+      { path: '::DataSection/MSCompressed/Content', data: content },
+      { path: '::DataSection/MSCompressed/ControlData', data: control },
+      {
+        path: '::DataSection/MSCompressed/Transform/{7FC28940-9D31-11D0-9B27-00A0C91E9C7C}/InstanceData/ResetTable',
+        data: resetTable
+      }
+    ]
+  };
+}
+
+/**
+ * Build a CHM container. Files marked `compressed` go into the MSCompressed
+ * section (stored as LZX uncompressed blocks); the rest live in section 0.
+ * @param {Array<{path: string, data: string|Uint8Array, compressed?: boolean}>} files
+ * @param {{lcid?: number, chunkSize?: number, headerLength?: number, framesPerReset?: number}} options
+ * @returns {ArrayBuffer}
+ */
+function buildCHM(files, options = {}) {
+  const { lcid = 0x0409, chunkSize = 4096, headerLength = 0x60, framesPerReset = 2 } = options;
+
+  const compressedFiles = files.filter(file => file.compressed);
+  const compressed = compressedFiles.length
+    ? buildCompressedSection(compressedFiles, framesPerReset)
+    : { entries: [], files: [] };
+
+  let contentLength = 0;
+  const payloads = files.filter(file => !file.compressed).concat(compressed.files).map(file => {
+    const data = toBytes(file.data);
+    const entry = { path: file.path, section: 0, offset: contentLength, length: data.length };
+    contentLength += data.length;
+    return { entry, data };
+  });
+
+  const listing = payloads.map(p => p.entry).concat(compressed.entries);
+  const chunks = buildListingChunks(listing, chunkSize);
+  const hs0Offset = headerLength;
+  const dirOffset = hs0Offset + 0x18;
+  const dirLength = 0x54 + chunks.length * chunkSize;
+  const contentOffset = dirOffset + dirLength;
+  const total = contentOffset + contentLength;
+
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+
+  // ITSF header
+  out.set(encoder.encode('ITSF'), 0);
+  view.setUint32(4, headerLength >= 0x60 ? 3 : 2, true);
+  view.setUint32(8, headerLength, true);
+  view.setUint32(0x0C, 1, true);
+  view.setUint32(0x14, lcid, true);
+  // {7C01FD10-7BAA-11D0-9E0C-00A0C922E6EC} and {7C01FD11-...}
+  [0x18, 0x28].forEach((offset, i) => {
+    view.setUint32(offset, 0x7C01FD10 + i, true);
+    view.setUint16(offset + 4, 0x7BAA, true);
+    view.setUint16(offset + 6, 0x11D0, true);
+    out.set([0x9E, 0x0C, 0x00, 0xA0, 0xC9, 0x22, 0xE6, 0xEC], offset + 8);
+  });
+  view.setBigUint64(0x38, BigInt(hs0Offset), true);
+  view.setBigUint64(0x40, 0x18n, true);
+  view.setBigUint64(0x48, BigInt(dirOffset), true);
+  view.setBigUint64(0x50, BigInt(dirLength), true);
+  if (headerLength >= 0x60) {
+    view.setBigUint64(0x58, BigInt(contentOffset), true);
+  }
+
+  // Header section 0 records the total file length
+  view.setUint32(hs0Offset, 0x01FE, true);
+  view.setBigUint64(hs0Offset + 8, BigInt(total), true);
+
+  // ITSP directory header
+  out.set(encoder.encode('ITSP'), dirOffset);
+  view.setUint32(dirOffset + 4, 1, true);
+  view.setUint32(dirOffset + 8, 0x54, true);
+  view.setUint32(dirOffset + 0x0C, 0x0A, true);
+  view.setUint32(dirOffset + 0x10, chunkSize, true);
+  view.setUint32(dirOffset + 0x14, 2, true);
+  view.setUint32(dirOffset + 0x18, 1, true);
+  view.setInt32(dirOffset + 0x1C, -1, true);
+  view.setInt32(dirOffset + 0x20, 0, true);
+  view.setInt32(dirOffset + 0x24, chunks.length - 1, true);
+  view.setInt32(dirOffset + 0x28, -1, true);
+  view.setUint32(dirOffset + 0x2C, chunks.length, true);
+  view.setUint32(dirOffset + 0x30, lcid, true);
+  view.setUint32(dirOffset + 0x44, 0x54, true);
+
+  chunks.forEach((chunk, index) => out.set(chunk, dirOffset + 0x54 + index * chunkSize));
+  payloads.forEach(({ entry, data }) => out.set(data, contentOffset + entry.offset));
+
+  return out.buffer;
+}
+
+module.exports = { buildCHM, buildFullTextIndex, buildSystemFile, buildTopicFiles, encInt, lzxStore };
@@ -0,0 +1,174 @@
+/**
+ * Tests for base types, derived types, interfaces and the type-graph export
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+
+describe('Type hierarchy', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function classesFor(pages) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })));
+  }
+
+  function hierarchyOf(entry) {
+    return { baseType: entry.baseType, derivedTypes: entry.derivedTypes, interfaces: entry.interfaces };
+  }
+
+  test('should read a Sandcastle Inheritance Hierarchy section and the interfaces from the syntax', () => {
+    const [widget] = classesFor([['/T_Widget.htm', `<h1>Widget Class</h1><div class="summary">Draws things.</div>
+      <div class="sectionTitle">Inheritance Hierarchy</div>
+      <div class="section">
+        <a href="T_System_Object.htm">System.Object</a><br />
+        &nbsp;&nbsp;<a href="T_Widgets_Control.htm">Widgets.Control</a><br />
+        &nbsp;&nbsp;&nbsp;&nbsp;<span class="selflink">Widgets.Widget</span><br />
+        &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<a href="T_Widgets_Button.htm">Widgets.Button</a><br />
+        &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<a href="T_Widgets_Label.htm">Widgets.Label</a><br />
+        &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<a href="T_Widgets_Widget_Derived.htm">More...</a>
+      </div>
+      <div class="sectionTitle">Syntax</div>
+      <div class="codeSnippetContainerTab">C#</div><div class="codeSnippetContainerTab">VB</div>
+      <div class="codeSnippetContainerCode"><pre>public class Widget : Control, IDisposable, ICloneable</pre></div>
+      <div class="codeSnippetContainerCode"><pre>Public Class Widget
+  Inherits Control
+  Implements IDisposable, ICloneable</pre></div>`]]);
+
+    expect(hierarchyOf(widget)).toEqual({
+      baseType: 'Widgets.Control',
+      derivedTypes: ['Widgets.Button', 'Widgets.Label'],
+      interfaces: ['IDisposable', 'ICloneable']
+    });
+  });
+
+  test.each([
+    ['public sealed class Widget : Control, IDisposable where T : new()', 'Widget', 'Control', ['IDisposable']],
+    ['Public NotInheritable Class Widget Inherits Widgets.Control Implements IDisposable', 'Widget', 'Widgets.Control', ['IDisposable']],
+    ['public class Widget<T> extends Control<T> implements Serializable, Comparable<Widget<T>>', 'Widget', 'Control<T>', ['Serializable', 'Comparable<Widget<T>>']],
+    ['public ref class Widget : public Control, IDisposable', 'Widget', 'Control', ['IDisposable']],
+    ['public interface IWidget : IDisposable, IComparable', 'IWidget', null, ['IDisposable', 'IComparable']],
+    ['public class Widget : IDisposable', 'Widget', null, ['IDisposable']]
+  ])('should read bases from "%s"', (signature, name, baseType, interfaces) => {
+    expect(extractor.parseTypeDeclaration(signature, name)).toEqual({ baseType, interfaces });
+  });
+
+  test('should read Javadoc inheritance trees and labelled lists', () => {
+    const [widget] = classesFor([['/com/example/Widget.html', `<title>Widget</title>
+      <div class="subTitle">com.example</div><h2 class="title">Class Widget</h2>
+      <ul class="inheritance"><li>java.lang.Object</li><li>
+        <ul class="inheritance"><li><a href="Control.html">com.example.Control</a></li><li>
+          <ul class="inheritance"><li>com.example.Widget</li></ul>
+        </li></ul>
+      </li></ul>
+      <dl><dt>All Implemented Interfaces:</dt><dd><a href="Drawable.html">Drawable</a>, java.io.Serializable</dd></dl>
+      <dl><dt>Direct Known Subclasses:</dt><dd><a href="Button.html">Button</a>, <a href="Label.html">Label</a></dd></dl>
+      <div class="block">Draws things.</div>`]]);
+
+    expect(hierarchyOf(widget)).toEqual({
+      baseType: 'com.example.Control',
+      derivedTypes: ['Button', 'Label'],
+      interfaces: ['Drawable', 'java.io.Serializable']
+    });
+  });
+
+  test('should read Doxygen "Inherits" and "Inherited by" paragraphs', () => {
+    const [widget] = classesFor([['/class_widget.html', `<title>Widget Class Reference</title>
+      <p>Draws things.</p>
+      <p>Inherits <a class="el" href="class_control.html">Control</a>, and <a class="el" href="class_i_drawable.html">IDrawable</a>.</p>
+      <p>Inherited by <a class="el" href="class_button.html">Button</a>.</p>`]]);
+
+    expect(hierarchyOf(widget)).toEqual({ baseType: 'Control', derivedTypes: ['Button'], interfaces: ['IDrawable'] });
+  });
+
+  test('should add a type to its base class\'s derived types', () => {
+    const entries = classesFor([
+      ['/control.htm', '<h1>Control Class</h1><p>Base of all controls.</p><p>Namespace: Widgets</p>'],
+      ['/widget.htm', '<h1>Widget Class</h1><p>Draws things.</p><h2>Syntax</h2><pre>public class Widget : Control</pre><p>Namespace: Widgets</p>']
+    ]);
+
+    expect(entries[0].derivedTypes).toEqual(['Widgets.Widget']);
+  });
+
+  test('should look type names up by name, matching namespaces only when both are known', () => {
+    const entries = [
+      { name: 'Connection', namespace: 'Data.Sql', fullName: 'Data.Sql.Connection' },
+      { name: 'Connection', namespace: 'Data.Odbc', fullName: 'Data.Odbc.Connection' },
+      { name: 'Helper', namespace: null, fullName: 'Helper' }
+    ];
+    const index = extractor.indexTypes(entries);
+    const find = name => extractor.findTypes(index, name).map(entry => entry.fullName);
+
+    expect(find('Data.Odbc.Connection')).toEqual(['Data.Odbc.Connection']);
+    expect(find('Connection')).toEqual(['Data.Sql.Connection', 'Data.Odbc.Connection']);
+    expect(find('Tools.Helper')).toEqual(['Helper']);
+    expect(find('Missing')).toEqual([]);
+  });
+
+  describe('type graph', () => {
+    beforeEach(() => {
+      extractor.file = { name: 'widgets.chm' };
+      extractor.jsonData = [
+        { type: 'Class', name: 'Control', namespace: 'Widgets', fullName: 'Widgets.Control', baseType: 'System.Object', derivedTypes: ['Widgets.Widget'], interfaces: [] },
+        { type: 'Class', name: 'Widget', namespace: 'Widgets', fullName: 'Widgets.Widget', baseType: 'Control', derivedTypes: ['Widgets.Button'], interfaces: ['IDisposable'] },
+        { type: 'Class', name: 'Helper', namespace: null, fullName: 'Helper', description: 'No hierarchy' }
+      ];
+    });
+
+    test('should build an adjacency list that resolves names to extracted types', () => {
+      jest.spyOn(extractor, 'sameType');
+      const graph = extractor.buildTypeGraph(extractor.jsonData);
+
+      expect(extractor.sameType).not.toHaveBeenCalled();
+
+      expect(graph.source).toBe('widgets.chm');
+      expect(graph.adjacency).toEqual({
+        'Widgets.Control': [{ type: 'System.Object', relation: 'inherits' }],
+        'Widgets.Widget': [
+          { type: 'Widgets.Control', relation: 'inherits' },
+          { type: 'IDisposable', relation: 'implements' }
+        ],
+        'Widgets.Button': [{ type: 'Widgets.Widget', relation: 'inherits' }]
+      });
+      expect(graph.types).toEqual([
+        { name: 'IDisposable', extracted: false },
+        { name: 'System.Object', extracted: false },
+        { name: 'Widgets.Button', extracted: false },
+        { name: 'Widgets.Control', extracted: true },
+        { name: 'Widgets.Widget', extracted: true }
+      ]);
+    });
+
+    test('should write Graphviz DOT with UML-style edges', () => {
+      const dot = extractor.toDOT(extractor.buildTypeGraph(extractor.jsonData));
+
+      expect(dot.split('\n')).toEqual(expect.arrayContaining([
+        'digraph types {',
+        '  "IDisposable" [color=gray, fontcolor=gray];',
+        '  "Widgets.Control";',
+        '  "Widgets.Widget" -> "Widgets.Control" [arrowhead=empty];',
+        '  "Widgets.Widget" -> "IDisposable" [style=dashed, arrowhead=empty];',
+        '}'
+      ]));
+      expect(extractor.toDOT({ types: [{ name: 'Say "hi"', extracted: true }], adjacency: {} })).toContain('"Say \\"hi\\""');
+    });
+
+    test('should download the JSON and DOT files', () => {
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      global.URL.createObjectURL = jest.fn();
+      const link = { click: jest.fn() };
+      jest.spyOn(document, 'createElement').mockReturnValue(link);
+
+      extractor.downloadTypeGraph();
+      expect(link.download).toBe('chm_types.json');
+      expect(JSON.parse(mockBlob.mock.calls[0][0][0]).adjacency).toHaveProperty(['Widgets.Widget']);
+
+      extractor.downloadTypeGraphDOT();
+      expect(link.download).toBe('chm_types.dot');
+      expect(mockBlob.mock.calls[1][1]).toEqual({ type: 'text/vnd.graphviz' });
+    });
+  });
+});
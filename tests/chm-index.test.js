@@ -0,0 +1,141 @@
+/**
+ * Tests for keyword index (.hhk) extraction and export
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildSystemFile } = require('./chm-fixtures.js');
+
+const SAMPLE_HHK = `<HTML><BODY>
+<UL>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="Widget class">
+    <param name="Local" value="html/widget.htm">
+    </OBJECT>
+  <UL>
+    <LI> <OBJECT type="text/sitemap">
+      <param name="Name" value="constructor">
+      <param name="Name" value="Widget Constructor">
+      <param name="Local" value="html/widget_ctor.htm">
+      <param name="Name" value="Widget Constructor (String)">
+      <param name="Local" value="html/widget_ctor2.htm">
+      </OBJECT>
+  </UL>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="drawing">
+    <param name="See Also" value="Widget class">
+    </OBJECT>
+</UL>
+</BODY></HTML>`;
+
+describe('Keyword index (.hhk)', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function loadIndex(files) {
+    const buffer = buildCHM(files);
+    const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+    return extractor.readKeywordIndex(buffer, directory, extractor.readMetadata(buffer, directory));
+  }
+
+  test('should parse keywords, sub-keywords and their targets', () => {
+    const index = loadIndex([
+      { path: '/#SYSTEM', data: buildSystemFile([[1, 'api.hhk']]) },
+      { path: '/api.hhk', data: SAMPLE_HHK }
+    ]);
+
+    expect(index).toEqual([
+      {
+        keyword: 'Widget class',
+        targets: [{ title: 'Widget class', local: 'html/widget.htm' }],
+        subkeywords: [{
+          keyword: 'constructor',
+          targets: [
+            { title: 'Widget Constructor', local: 'html/widget_ctor.htm' },
+            { title: 'Widget Constructor (String)', local: 'html/widget_ctor2.htm' }
+          ],
+          subkeywords: []
+        }]
+      },
+      { keyword: 'drawing', targets: [], subkeywords: [] }
+    ]);
+  });
+
+  test('should return an empty index when the CHM has no .hhk', () => {
+    expect(loadIndex([{ path: '/a.htm', data: 'A' }])).toEqual([]);
+  });
+
+  test('should link keywords to the class entries they name', () => {
+    const index = extractor.linkIndexToEntries(
+      extractor.parseSitemap(SAMPLE_HHK).map(node => extractor.toIndexRecord(node)),
+      [{ type: 'Class', name: 'Widget', description: 'Draws things' }]
+    );
+
+    expect(index[0].classes).toEqual(['Widget']);
+    expect(index[0].subkeywords[0].classes).toEqual([]);
+    expect(index[1].classes).toEqual([]);
+  });
+
+  describe('exports', () => {
+    let mockBlob;
+    let mockElement;
+
+    beforeEach(() => {
+      extractor.file = { name: 'api.chm' };
+      extractor.index = extractor.linkIndexToEntries(
+        extractor.parseSitemap(SAMPLE_HHK).map(node => extractor.toIndexRecord(node)),
+        [{ type: 'Class', name: 'Widget', description: 'Draws things' }]
+      );
+      mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      mockElement = { href: '', download: '', click: jest.fn() };
+      jest.spyOn(document, 'createElement').mockReturnValue(mockElement);
+    });
+
+    test('should download the index as JSON', () => {
+      extractor.downloadIndexJSON();
+
+      expect(mockElement.download).toBe('chm_index.json');
+      const written = JSON.parse(mockBlob.mock.calls[0][0][0]);
+      expect(written.source).toBe('api.chm');
+      expect(written.index).toHaveLength(2);
+    });
+
+    test('should download one CSV row per target', () => {
+      extractor.downloadIndexCSV();
+
+      expect(mockElement.download).toBe('chm_index.csv');
+      expect(mockBlob.mock.calls[0][0][0].split('\n')).toEqual([
+        'Keyword,Subkeyword,Title,Local,Classes',
+        '"Widget class","","Widget class","html/widget.htm","Widget"',
+        '"Widget class","constructor","Widget Constructor","html/widget_ctor.htm",""',
+        '"Widget class","constructor","Widget Constructor (String)","html/widget_ctor2.htm",""',
+        '"drawing","","","",""'
+      ]);
+    });
+
+    test('should not download an empty index', () => {
+      extractor.index = [];
+      extractor.downloadIndexJSON();
+      extractor.downloadIndexCSV();
+
+      expect(mockElement.click).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should show the index buttons after loading a CHM with a keyword index', async () => {
+    const buffer = buildCHM([
+      { path: '/api.hhk', data: SAMPLE_HHK },
+      { path: '/widget.htm', data: 'Class Widget  Draws things' }
+    ]);
+
+    await extractor.loadFile({ name: 'api.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.index[0].classes).toEqual(['Widget']);
+    expect(document.getElementById('downloadIndexBtn').style.display).toBe('');
+    expect(document.getElementById('downloadIndexCSVBtn').style.display).toBe('');
+    expect(document.getElementById('downloadTOCBtn').style.display).toBe('none');
+  });
+});
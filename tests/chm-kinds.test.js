@@ -0,0 +1,145 @@
+/**
+ * Tests for entry kinds beyond classes and the kind filter
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+
+describe('Entry kinds', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function entriesFor(pages) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })));
+  }
+
+  test.each([
+    ['IWidget Interface', 'Interface', 'IWidget'],
+    ['Point Structure', 'Struct', 'Point'],
+    ['Widgets::Point Struct Reference', 'Struct', 'Widgets::Point'],
+    ['Color Enumeration', 'Enum', 'Color'],
+    ['Enum Color', 'Enum', 'Color'],
+    ['DrawHandler Delegate', 'Delegate', 'DrawHandler'],
+    ['Widget CoClass', 'CoClass', 'Widget'],
+    ['Utilities Module', 'Module', 'Utilities'],
+    ['DrawWidget Function', 'Function', 'DrawWidget'],
+    ['Widget Class', 'Class', 'Widget']
+  ])('should read the kind from the title "%s"', (title, type, name) => {
+    expect(extractor.typeFromTitle(title)).toEqual({ type, name });
+  });
+
+  test('should read an enumeration\'s name/value table', () => {
+    const [color] = entriesFor([['/T_Color.htm', `<h1>Color Enumeration</h1><div class="summary">Widget colours.</div>
+      <p>Namespace: Widgets</p>
+      <h2>Members</h2>
+      <table>
+        <tr><th></th><th>Member name</th><th>Value</th><th>Description</th></tr>
+        <tr><td></td><td><strong>Red</strong></td><td>0</td><td>The red one.</td></tr>
+        <tr><td></td><td><strong>Green</strong></td><td>0x10</td><td>The green one.</td></tr>
+        <tr><td></td><td><strong>Default</strong></td><td>Red | Green</td><td></td></tr>
+      </table>`]]);
+
+    expect(color).toEqual({
+      type: 'Enum',
+      name: 'Color',
+      namespace: 'Widgets',
+      fullName: 'Widgets.Color',
+      description: 'Widget colours.',
+      values: [
+        { name: 'Red', value: 0, description: 'The red one.' },
+        { name: 'Green', value: 16, description: 'The green one.' },
+        { name: 'Default', value: 'Red | Green', description: null }
+      ],
+      examples: [],
+      source: { path: '/T_Color.htm', offset: null, lines: [1, 1], rule: 'topic title' }
+    });
+  });
+
+  test('should read Javadoc and Doxygen enum constants without values', () => {
+    const [javadoc, doxygen] = entriesFor([
+      ['/Color.html', `<title>Color</title><h2 class="title">Enum Color</h2><div class="block">Colours.</div>
+        <table><caption>Enum Constants</caption>
+          <tr><th>Enum Constant and Description</th></tr>
+          <tr><td><code><a href="#RED">RED</a></code><div class="block">The red one.</div></td></tr>
+        </table>`],
+      ['/shade.html', `<title>Shade Enumeration</title><p>Shades.</p>
+        <table class="fieldtable"><tr><th colspan="2">Enumerator</th></tr>
+          <tr><td class="fieldname">Light&#160;</td><td class="fielddoc"><p>Light shade.</p></td></tr>
+        </table>`]
+    ]);
+
+    expect(javadoc.values).toEqual([{ name: 'RED', value: null, description: 'The red one.' }]);
+    expect(doxygen.values).toEqual([{ name: 'Light', value: null, description: 'Light shade.' }]);
+  });
+
+  test('should fall back to the values in an enum declaration', () => {
+    const [color] = entriesFor([['/color.htm', `<h1>Color Enumeration</h1><p>Colours.</p>
+      <h2>Syntax</h2><pre>enum Color { Red = 1, Green, Blue = 0x4 }</pre>`]]);
+
+    expect(color.values).toEqual([
+      { name: 'Red', value: 1, description: null },
+      { name: 'Green', value: null, description: null },
+      { name: 'Blue', value: 4, description: null }
+    ]);
+  });
+
+  test('should give delegates and global functions their signature', () => {
+    const [handler] = entriesFor([['/draw_handler.htm', `<h1>DrawHandler Delegate</h1><p>Handles drawing.</p>
+      <h2>Syntax</h2><pre>public delegate void DrawHandler(object sender, DrawEventArgs e)</pre>`]]);
+
+    expect(handler).toMatchObject({
+      type: 'Delegate',
+      syntax: [{ language: null, signature: 'public delegate void DrawHandler(object sender, DrawEventArgs e)' }],
+      parameters: [
+        { name: 'sender', type: 'object', description: null },
+        { name: 'e', type: 'DrawEventArgs', description: null }
+      ],
+      returns: null
+    });
+    expect(handler).not.toHaveProperty('members');
+  });
+
+  test('should keep members and hierarchy for interfaces, structures and coclasses', () => {
+    const [widget, shape] = entriesFor([
+      ['/widget.htm', `<h1>Widget CoClass</h1><p>The widget object.</p>
+        <h2>Syntax</h2><pre>coclass Widget { [default] interface IWidget; [source] dispinterface _WidgetEvents; }</pre>`],
+      ['/ishape.htm', `<h1>IShape Interface</h1><p>A shape.</p>
+        <h2>Syntax</h2><pre>public interface IShape : IDisposable</pre>
+        <h2>Methods</h2><table><tr><td><a href="ishape_area.htm">Area</a></td><td>Computes the area.</td></tr></table>`]
+    ]);
+
+    expect(widget).toMatchObject({ type: 'CoClass', baseType: null, interfaces: ['IWidget', '_WidgetEvents'], members: [] });
+    expect(shape).toMatchObject({ type: 'Interface', interfaces: ['IDisposable'] });
+    expect(shape.members.map(member => member.name)).toEqual(['Area']);
+  });
+
+  test('should recognise capitalised kind keywords in raw text', () => {
+    const text = 'Interface IWidget: Something that draws\nEnumeration Color  Widget colours\n' +
+      'This function returns the module name\nClass Widget  Draws things';
+
+    expect(extractor.containsRelevantText('Enumeration Color  Widget colours')).toBe(true);
+    expect(extractor.toStructuredJSON(text).map(entry => [entry.type, entry.name, entry.description])).toEqual([
+      ['Interface', 'IWidget', 'Something that draws'],
+      ['Enum', 'Color', 'Widget colours This function returns the module name'],
+      ['Class', 'Widget', 'Draws things']
+    ]);
+  });
+
+  test('should only export the kinds the user selected', () => {
+    extractor.jsonData = [
+      { type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Draws' },
+      { type: 'Enum', name: 'Color', namespace: null, fullName: 'Color', description: 'Colours', values: [] }
+    ];
+    const enumOption = document.querySelector('.kind-option[value="Enum"]');
+    enumOption.checked = false;
+    enumOption.dispatchEvent(new Event('change'));
+
+    expect(extractor.buildJSONDocument().entries.map(entry => entry.name)).toEqual(['Widget']);
+    expect(JSON.parse(document.getElementById('jsonPreview').textContent).entries).toHaveLength(1);
+
+    extractor.setIncludedKinds(['Class', 'Enum']);
+    expect(extractor.buildJSONDocument().entries).toHaveLength(2);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for LZX decompression of the MSCompressed content section
+ * Compressed vectors below were produced by an LZX encoder from the sample HTML
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { LZXDecoder } = require('./chmextractor.module.js');
+const { Buffer } = require('buffer');
+const { buildCHM } = require('./chm-fixtures.js');
+
+const SAMPLE_HTML = '<html><h1>Class Widget</h1>\n<p>Widget draws things. Widget draws other things too.</p>\n' +
+  '<h1>Class Gadget</h1>\n<p>Gadget holds widgets, widgets, widgets.</p></html>';
+
+// 64 KB window, one frame, verbatim block
+const VERBATIM_FRAME = 'ABAiCgAAAAAiAABADDTwzujsm6MCi60DBMtBjxctX3D//4C4AAAAAMAIDACbztW2PkJNA1UCPoB3UfT3AMQAAAAAAAAIzMMwv9/9' +
+  'fiQBytnBErlYYWZZm4iu9DcY7GQqFRnByLsJd+rdeqH3H2kjKHDfCt/Ub1/yyBzcEwnDZ1Uub6On8H4=';
+// Same data as an aligned-offset block
+const ALIGNED_FRAME = 'ACAgCg3CACIAAAAAMCM0AJ9PDR6Kzqk5IDDTOggkgY1CFhNav79sfwCAAAAJAAAA0ghtNwD4MYegsch3Bjh+Z/z9AAEAAAAAAAAy' +
+  'RBwO/j73+7bvJglQzgqWy8UMM83aQXSiv4LBgadckRCMvpt3p7mnWujOR/cIN9yfwhn1ji8JeGHuqoRvh6Uu+0MAQA==';
+
+function fromBase64(text) {
+  return Uint8Array.from(Buffer.from(text, 'base64'));
+}
+
+function asText(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+describe('LZX decompression', () => {
+  describe('LZXDecoder', () => {
+    test('should decode a verbatim block', () => {
+      const decoder = new LZXDecoder(16);
+      const output = decoder.decompress(fromBase64(VERBATIM_FRAME), SAMPLE_HTML.length);
+      expect(asText(output)).toBe(SAMPLE_HTML);
+    });
+
+    test('should decode an aligned-offset block', () => {
+      const decoder = new LZXDecoder(16);
+      const output = decoder.decompress(fromBase64(ALIGNED_FRAME), SAMPLE_HTML.length);
+      expect(asText(output)).toBe(SAMPLE_HTML);
+    });
+
+    test('should decode the same frame again after a reset', () => {
+      const decoder = new LZXDecoder(16);
+      decoder.decompress(fromBase64(VERBATIM_FRAME), SAMPLE_HTML.length);
+      decoder.reset();
+      expect(asText(decoder.decompress(fromBase64(VERBATIM_FRAME), SAMPLE_HTML.length))).toBe(SAMPLE_HTML);
+    });
+
+    test('should reject unsupported window sizes', () => {
+      expect(() => new LZXDecoder(22)).toThrow('Unsupported LZX window size');
+    });
+
+    test('should reject invalid block types', () => {
+      const decoder = new LZXDecoder(16);
+      // Intel flag 0, then block type 7
+      expect(() => decoder.decompress(new Uint8Array([0x00, 0x70, 0, 0]), 16)).toThrow('Invalid LZX block type');
+    });
+  });
+
+  describe('MSCompressed section', () => {
+    let extractor;
+
+    beforeEach(() => {
+      extractor = new CHMJsonExtractor();
+    });
+
+    function openDirectory(buffer) {
+      return extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+    }
+
+    test('should read a compressed file that spans several blocks', () => {
+      const big = 'x'.repeat(40000) + 'END';
+      const buffer = buildCHM([
+        { path: '/first.htm', data: 'first', compressed: true },
+        { path: '/big.htm', data: big, compressed: true }
+      ]);
+      const directory = openDirectory(buffer);
+      const entry = extractor.findDirectoryEntry(directory, '/big.htm');
+
+      expect(entry.section).toBe(1);
+      expect(asText(extractor.readDirectoryFile(buffer, directory, entry).subarray(39990))).toBe('xxxxxxxxxxEND');
+    });
+
+    test('should only decompress from the nearest reset point', () => {
+      const files = [];
+      for (let i = 0; i < 6; i++) {
+        files.push({ path: `/page${i}.htm`, data: String(i).repeat(0x8000), compressed: true });
+      }
+      const buffer = buildCHM(files, { framesPerReset: 2 });
+      const directory = openDirectory(buffer);
+      extractor.readCompressedRange(buffer, directory, 0, 1);
+      const spy = jest.spyOn(directory.compressedSection.decoder, 'decompress');
+
+      const data = extractor.readDirectoryFile(buffer, directory, extractor.findDirectoryEntry(directory, '/page5.htm'));
+
+      expect(data[0]).toBe('5'.charCodeAt(0));
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reuse cached blocks for repeated reads', () => {
+      const buffer = buildCHM([{ path: '/a.htm', data: 'Class Alpha  first', compressed: true }]);
+      const directory = openDirectory(buffer);
+      const entry = extractor.findDirectoryEntry(directory, '/a.htm');
+      extractor.readDirectoryFile(buffer, directory, entry);
+      const spy = jest.spyOn(directory.compressedSection.decoder, 'decompress');
+
+      extractor.readDirectoryFile(buffer, directory, entry);
+
+      expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('should fail clearly when ControlData is missing', () => {
+      const buffer = buildCHM([{ path: '/a.htm', data: 'A', compressed: true }]);
+      const directory = openDirectory(buffer);
+      directory.entries = directory.entries.filter(entry => !entry.path.endsWith('ControlData'));
+
+      expect(() => extractor.readCompressedRange(buffer, directory, 0, 1)).toThrow('Missing ::DataSection/MSCompressed/ControlData');
+    });
+
+    test('should feed decompressed topics to the extraction instead of a raw scan', () => {
+      const buffer = buildCHM([
+        { path: '/widget.htm', data: '<h1>Class Widget</h1>\nDraws things on screen', compressed: true }
+      ]);
+      jest.spyOn(extractor, 'scanRawContent');
+      jest.spyOn(extractor, 'scanChunks');
+
+      const content = extractor.extractCHMContent(buffer, extractor.validateCHM(buffer));
+      const entries = extractor.toStructuredJSON(content);
+
+      expect(extractor.scanRawContent).not.toHaveBeenCalled();
+      expect(extractor.scanChunks).not.toHaveBeenCalled();
+      expect(entries).toEqual([{ type: 'Class', name: 'Widget', description: 'Draws things on screen',
+        source: { path: null, offset: null, lines: [1, 2], rule: 'Class Name' } }]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for Markdown descriptions and the optional description limit
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('Markdown descriptions', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function entriesFor(pages) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })));
+  }
+
+  test('should convert formatting, code spans, lists and links to Markdown', () => {
+    const doc = extractor.parseHTML(`<div id="d">
+      <p>Draws a <b>widget</b> with <i>any</i> <code>Canvas</code>; see <a href="../Canvas.htm#draw">Canvas</a>,
+        <a href="ms-its:widgets.chm::/html/Pen.htm">Pen</a> and <a href="https://example.com/">the site</a>.</p>
+      <ul><li>First <code>a*b</code></li><li>Second<ol><li>Nested</li></ol></li></ul>
+      <pre>int x = 1;
+  x++;</pre>
+      <table><tr><th>Name</th><th>Value</th></tr><tr><td>Red</td><td>0 | 1</td></tr></table>
+      <p>Line one<br>line_two</p>
+    </div>`);
+
+    expect(extractor.toMarkdown(doc.getElementById('d'), 'html/Widget.htm')).toBe([
+      'Draws a **widget** with *any* `Canvas`; see [Canvas](Canvas.htm#draw), [Pen](html/Pen.htm) and [the site](https://example.com/).',
+      '',
+      '- First `a*b`',
+      '- Second',
+      '  1. Nested',
+      '',
+      '```',
+      'int x = 1;\n  x++;',
+      '```',
+      '',
+      '| Name | Value |',
+      '| --- | --- |',
+      '| Red | 0 \\| 1 |',
+      '',
+      'Line one\\',
+      'line\\_two'
+    ].join('\n'));
+  });
+
+  test('should add descriptionMarkdown in Markdown mode and keep the plain description', () => {
+    extractor.setDescriptionFormat('markdown');
+    const [widget, color] = entriesFor([
+      ['/html/T_Widget.htm', '<h1>Widget Class</h1><div class="summary">Draws a <b>widget</b>. See <a href="T_Canvas.htm">Canvas</a>.</div>'],
+      ['/html/T_Color.htm', `<h1>Color Enumeration</h1><h2>Remarks</h2><ul>
+      <li>Red</li>
+      <li>Green</li></ul>`]
+    ]);
+
+    expect(widget.description).toBe('Draws a widget. See Canvas.');
+    expect(widget.descriptionMarkdown).toBe('Draws a **widget**. See [Canvas](html/T_Canvas.htm).');
+    expect(color.description).toBe('Red Green');
+    expect(color.descriptionMarkdown).toBe('- Red\n- Green');
+  });
+
+  test('should leave descriptionMarkdown out in plain-text mode', () => {
+    const [widget] = entriesFor([['/widget.htm', '<h1>Widget Class</h1><p>Draws a <b>widget</b>.</p>']]);
+
+    expect(widget).not.toHaveProperty('descriptionMarkdown');
+  });
+
+  test('should keep the formatting of descriptions read by the text patterns', () => {
+    extractor.setDescriptionFormat('markdown');
+    const [entry] = extractor.toStructuredJSON('Class Widget  Draws a <b>widget</b> on a\n<code>Canvas</code> surface');
+
+    expect(entry.description).toBe('Draws a widget on a Canvas surface');
+    expect(entry.descriptionMarkdown).toBe('Draws a **widget** on a `Canvas` surface');
+  });
+
+  test('should cut descriptions at 500 characters unless the limit is turned off', () => {
+    const long = 'word '.repeat(200).trim();
+    const pages = [['/widget.htm', `<h1>Widget Class</h1><p>${long}</p>`]];
+
+    expect(entriesFor(pages)[0].description).toHaveLength(500);
+    extractor.setDescriptionLimit(false);
+    expect(entriesFor(pages)[0].description).toBe(long);
+    expect(extractor.toStructuredJSON(`Class Widget  ${long}`)[0].description).toBe(long);
+  });
+
+  test('should describe topic-catalogue entries in Markdown and keep plain text in the CSV', async () => {
+    extractor.setDescriptionFormat('markdown');
+    const buffer = buildCHM([{ path: '/widget.htm', data: '<h1>Widget Class</h1><p>Draws a <code>Widget</code>.</p>' }]);
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.jsonData[0]).toMatchObject({ description: 'Draws a Widget.', descriptionMarkdown: 'Draws a `Widget`.' });
+
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    global.URL.createObjectURL = jest.fn();
+    jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+    extractor.downloadCSV();
+    expect(mockBlob.mock.calls[0][0][0]).toContain('Class,"Widget","Draws a Widget.",""');
+  });
+});
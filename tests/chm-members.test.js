@@ -0,0 +1,139 @@
+/**
+ * Tests for class member extraction across CHM generator layouts
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('Class members', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function classesFor(pages) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })));
+  }
+
+  test('should read Sandcastle member tables from the class topic', () => {
+    const [widget] = classesFor([['/html/T_Widget.htm', `
+      <h1>Widget Class</h1><div class="summary">Draws things.</div>
+      <h2>Constructors</h2><table>
+        <tr><th></th><th>Name</th><th>Description</th></tr>
+        <tr><td><img alt="Public method"></td><td><a href="M_Widget__ctor.htm">Widget</a></td><td>Creates a widget.</td></tr>
+      </table>
+      <h2>Properties</h2><table>
+        <tr><td><img alt="Public property"></td><td><a href="P_Widget_Size.htm">Size</a></td><td>Gets the size.</td></tr>
+      </table>
+      <h2>Methods</h2><table>
+        <tr><td><img alt="Public method"></td><td><a href="M_Widget_Draw.htm">Draw</a></td><td>Draws the widget.</td></tr>
+      </table>
+      <h2>Events</h2><table>
+        <tr><td><img alt="Public event"></td><td><a href="../events/E_Widget_Drawn.htm#top">Drawn</a></td><td>Raised after drawing.</td></tr>
+      </table>
+      <h2>See Also</h2><table><tr><td><a href="N_Widgets.htm">Widgets Namespace</a></td></tr></table>`]]);
+
+    expect(widget.members).toEqual([
+      { kind: 'constructor', name: 'Widget', summary: 'Creates a widget.', link: 'html/M_Widget__ctor.htm' },
+      { kind: 'property', name: 'Size', summary: 'Gets the size.', link: 'html/P_Widget_Size.htm' },
+      { kind: 'method', name: 'Draw', summary: 'Draws the widget.', link: 'html/M_Widget_Draw.htm' },
+      { kind: 'event', name: 'Drawn', summary: 'Raised after drawing.', link: 'events/E_Widget_Drawn.htm#top' }
+    ]);
+  });
+
+  test('should attach NDoc "Members" pages to their class, taking kinds from icons', () => {
+    const [widget] = classesFor([
+      ['/Widget.html', '<h1>Widget Class</h1><p>Draws things.</p>'],
+      ['/WidgetMembers.html', `<h1>Widget Members</h1>
+        <h4 class="dtH4">Public Instance Members</h4>
+        <div class="tablediv"><table class="dtTABLE">
+          <tr><td><img src="pubmethod.gif"><a href="Widget.Draw.html">Draw</a></td><td>Draws the widget.</td></tr>
+          <tr><td><img src="pubproperty.gif"><a href="Widget.Size.html">Size</a></td><td>Gets the size.</td></tr>
+          <tr><td><img src="pubfield.gif"><a href="Widget.Tag.html">Tag</a></td><td>User data.</td></tr>
+        </table></div>`]
+    ]);
+
+    expect(widget.members.map(member => [member.kind, member.name, member.link])).toEqual([
+      ['method', 'Draw', 'Widget.Draw.html'],
+      ['property', 'Size', 'Widget.Size.html'],
+      ['field', 'Tag', 'Widget.Tag.html']
+    ]);
+  });
+
+  test('should read Javadoc summary tables', () => {
+    const [widget] = classesFor([['/api/Widget.html', `<title>Widget</title><h1>Class Widget</h1><p>Draws things.</p>
+      <table><tr><th colspan="2">Method Summary</th></tr>
+        <tr><td><code>void</code></td><td><code><a href="#draw(int)">draw</a>(int&nbsp;size)</code><br>Draws at a size.</td></tr>
+      </table>
+      <table><tr><th colspan="2">Field Summary</th></tr>
+        <tr><td><code>int</code></td><td><code><a href="#tag">tag</a></code></td></tr>
+      </table>`]]);
+
+    expect(widget.members).toEqual([
+      { kind: 'method', name: 'draw', summary: 'Draws at a size.', link: 'api/Widget.html#draw(int)' },
+      { kind: 'field', name: 'tag', summary: null, link: 'api/Widget.html#tag' }
+    ]);
+  });
+
+  test('should read Doxygen member declarations and their summary rows', () => {
+    const [widget] = classesFor([['/class_widget.html', `<title>Widget Class Reference</title>
+      <h1>Widget Class</h1><p>Draws things.</p>
+      <table class="memberdecls">
+        <tr class="heading"><td colspan="2"><h2 class="groupheader">Public Member Functions</h2></td></tr>
+        <tr class="memitem:a1"><td class="memItemLeft">void </td><td class="memItemRight"><a href="class_widget.html#a1">draw</a> ()</td></tr>
+        <tr class="memdesc:a1"><td class="mdescLeft"></td><td class="mdescRight">Draws the widget. <a href="#a1">More...</a></td></tr>
+      </table>
+      <table class="memberdecls">
+        <tr class="heading"><td colspan="2"><h2 class="groupheader">Public Attributes</h2></td></tr>
+        <tr class="memitem:a2"><td class="memItemLeft">int </td><td class="memItemRight"><a href="class_widget.html#a2">size</a></td></tr>
+      </table>`]]);
+
+    expect(widget.members).toEqual([
+      { kind: 'method', name: 'draw', summary: 'Draws the widget.', link: 'class_widget.html#a1' },
+      { kind: 'field', name: 'size', summary: null, link: 'class_widget.html#a2' }
+    ]);
+  });
+
+  test('should add members that only have their own topic, without duplicating listed ones', () => {
+    const [widget] = classesFor([
+      ['/html/widget.htm', `<h1>Widget Class</h1><p>Draws things.</p>
+        <h2>Methods</h2><table><tr><td><a href="widget_draw.htm">Draw</a></td><td></td></tr></table>`],
+      ['/html/widget_draw.htm', '<h1>Widget.Draw Method (Int32)</h1><p>Draws at a size.</p>'],
+      ['/html/widget_ctor.htm', '<h1>Widgets.Widget Constructor</h1><p>Creates a widget.</p>'],
+      ['/html/gadget_draw.htm', '<h1>Gadget.Draw Method</h1><p>Not a widget member.</p>']
+    ]);
+
+    expect(widget.members).toEqual([
+      { kind: 'method', name: 'Draw', summary: 'Draws at a size.', link: 'html/widget_draw.htm' },
+      { kind: 'constructor', name: 'Widget', summary: 'Creates a widget.', link: 'html/widget_ctor.htm' }
+    ]);
+  });
+
+  test('should keep links with a scheme as written', () => {
+    expect(extractor.resolveTopicLink('/html/a.htm', 'ms-its:other.chm::/b.htm')).toBe('ms-its:other.chm::/b.htm');
+    expect(extractor.resolveTopicLink('/html/a.htm', '../b%20c.htm')).toBe('b c.htm');
+  });
+
+  test('should keep links with a malformed escape as written', async () => {
+    const buffer = buildCHM([{ path: '/widget.htm', data: `<h1>Widget Class</h1><p>Draws things.</p>
+      <h2>Methods</h2><table>
+        <tr><td><img alt="Public method"></td><td><a href="draw%zz.htm">Draw</a></td><td>Draws the widget.</td></tr>
+        <tr><td><img alt="Public method"></td><td><a href="#erase%zz">Erase</a></td><td>Erases the widget.</td></tr>
+      </table>` }]);
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.jsonData[0].members.map(member => member.link)).toEqual(['draw%zz.htm', 'widget.htm#erase%zz']);
+  });
+
+  test('should carry members into classes found from the topic catalogue', () => {
+    const topics = [{ index: 0, title: 'Widget Class', local: 'widget.htm', inContents: true }];
+    const members = [{ kind: 'method', name: 'Draw', summary: null, link: 'widget_draw.htm' }];
+    const textEntries = [{ type: 'Class', name: 'Widget', description: 'Draws things', members }];
+
+    const [widget] = extractor.classesFromTopics(null, { entries: [] }, topics, textEntries);
+
+    expect(widget.members).toBe(members);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for merging repeated entries and reporting the conflicts between them
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('Entry merging', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  const source = (path, rule) => ({ path, offset: null, lines: null, rule });
+
+  test('should merge entries of the same namespace, kind and name', () => {
+    const { entries, conflicts } = extractor.mergeEntries([
+      {
+        type: 'Class', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'Widget class',
+        baseType: null, derivedTypes: ['Ui.Button'], interfaces: [], members: [{ kind: 'method', name: 'Draw', link: null }],
+        source: source('/toc.htm', 'topic catalogue title')
+      },
+      {
+        type: 'Class', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'Draws itself on a canvas.',
+        baseType: 'Ui.Control', derivedTypes: ['Ui.Label'], interfaces: [], members: [{ kind: 'method', name: 'Draw', link: 'draw.htm' }],
+        source: source('/widget.htm', 'topic title')
+      },
+      { type: 'Class', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'Draws', source: source(null, 'Class Name description') }
+    ]);
+
+    expect(entries).toEqual([{
+      type: 'Class', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'Draws itself on a canvas.',
+      baseType: 'Ui.Control', derivedTypes: ['Ui.Label', 'Ui.Button'], interfaces: [],
+      members: [{ kind: 'method', name: 'Draw', link: 'draw.htm' }, { kind: 'method', name: 'Draw', link: null }],
+      source: source('/widget.htm', 'topic title'),
+      sources: [source('/toc.htm', 'topic catalogue title'), source('/widget.htm', 'topic title'), source(null, 'Class Name description')]
+    }]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('should keep types apart by namespace and by kind', () => {
+    const { entries } = extractor.mergeEntries([
+      { type: 'Class', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'A' },
+      { type: 'Class', name: 'Widget', namespace: 'Web', fullName: 'Web.Widget', description: 'B' },
+      { type: 'Interface', name: 'Widget', namespace: 'Ui', fullName: 'Ui.Widget', description: 'C' }
+    ]);
+
+    expect(entries.map(entry => entry.description)).toEqual(['A', 'B', 'C']);
+    expect(entries.some(entry => entry.sources)).toBe(false);
+  });
+
+  test('should report fields the entries disagree on and keep the best-described value', () => {
+    const { entries, conflicts } = extractor.mergeEntries([
+      { type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Short', baseType: 'Shape', source: source(null, 'Class Name: description') },
+      { type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Draws itself.', baseType: 'Control', source: source('/widget.htm', 'topic title') },
+      { type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Widget class', baseType: 'Shape', source: source('/toc.htm', 'topic catalogue title') }
+    ]);
+
+    expect(entries[0].baseType).toBe('Control');
+    expect(conflicts).toEqual([{
+      type: 'Class', fullName: 'Widget', field: 'baseType',
+      values: [
+        { value: 'Control', source: source('/widget.htm', 'topic title') },
+        { value: 'Shape', source: source(null, 'Class Name: description') }
+      ]
+    }]);
+  });
+
+  test('should merge a class found by its topic and by a rule, and add the conflicts to the JSON document', async () => {
+    extractor.setRules(JSON.stringify({
+      rules: [{ name: 'Headings', type: 'Class', selector: 'div.type', fields: { name: 'h2', baseType: '@data-base' } }]
+    }));
+    const buffer = buildCHM([
+      { path: '/widget.htm', data: '<h1>Widget Class</h1><p>Draws things.</p><h2>Syntax</h2><pre>public class Widget : Control</pre>' },
+      { path: '/list.htm', data: '<h1>Overview</h1><div class="type" data-base="Shape"><h2>Widget</h2></div>' }
+    ]);
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    const document = extractor.buildJSONDocument();
+
+    expect(document.entries).toHaveLength(1);
+    expect(document.entries[0].description).toBe('Draws things.');
+    expect(document.entries[0].sources.map(found => found.path)).toEqual(['/widget.htm', '/list.htm']);
+    expect(document.conflicts).toEqual([expect.objectContaining({ fullName: 'Widget', field: 'baseType' })]);
+  });
+
+  test('should not map clicks in the conflict report to an entry', () => {
+    extractor.jsonData = [{ type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Draws' }];
+    extractor.conflicts = [{ type: 'Class', fullName: 'Widget', field: 'baseType', values: [] }];
+    const text = JSON.stringify(extractor.buildJSONDocument(), null, 2);
+
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"Draws"'))).toBe(extractor.jsonData[0]);
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"baseType"'))).toBeNull();
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for namespace detection and the namespace-grouped view
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+
+describe('Namespaces', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function classesFor(pages, namespaces) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })), namespaces);
+  }
+
+  describe('qualifyName', () => {
+    test.each([
+      ['Widgets.Drawing.Widget', null, { name: 'Widget', namespace: 'Widgets.Drawing', fullName: 'Widgets.Drawing.Widget' }],
+      ['Widgets::Widget', null, { name: 'Widget', namespace: 'Widgets', fullName: 'Widgets::Widget' }],
+      ['Widget', 'std::io', { name: 'Widget', namespace: 'std::io', fullName: 'std::io::Widget' }],
+      ['List<System.String>', null, { name: 'List<System.String>', namespace: null, fullName: 'List<System.String>' }],
+      ['Widget', null, { name: 'Widget', namespace: null, fullName: 'Widget' }]
+    ])('%s in %s', (name, namespace, expected) => {
+      expect(extractor.qualifyName(name, namespace)).toEqual(expected);
+    });
+  });
+
+  test('should keep same-named classes from different namespaces apart, with their own members', () => {
+    const entries = classesFor([
+      ['/sql/connection.htm', `<h1>Connection Class</h1><p>A SQL connection.</p>
+        <p><strong>Namespace:</strong>&nbsp;<a href="N_Data_Sql.htm">Data.Sql</a><br /><strong>Assembly:</strong> Data</p>`],
+      ['/odbc/connection.htm', `<h1>Connection Class</h1><p>An ODBC connection.</p>
+        <p><b>Namespace:</b> Data.Odbc</p>`],
+      ['/sql/connection_open.htm', '<h1>Data.Sql.Connection.Open Method</h1><p>Opens the SQL connection.</p>'],
+      ['/odbc/connection_close.htm', '<h1>Connection.Close Method</h1><p>Closes it.</p><p>Namespace: Data.Odbc</p>']
+    ]);
+
+    expect(entries.map(entry => [entry.fullName, entry.members.map(member => member.name)])).toEqual([
+      ['Data.Sql.Connection', ['Open']],
+      ['Data.Odbc.Connection', ['Close']]
+    ]);
+    expect(entries[0]).toMatchObject({ name: 'Connection', namespace: 'Data.Sql', description: 'A SQL connection.' });
+  });
+
+  test('should read the package from Javadoc and the namespace from Doxygen titles', () => {
+    const entries = classesFor([
+      ['/com/example/Widget.html', `<title>Widget</title>
+        <div class="header"><div class="subTitle">com.example</div><h2 class="title">Class Widget</h2></div>
+        <div class="block">Draws things.</div>`],
+      ['/class_gadget.html', '<title>Widgets::Gadget Class Reference</title><p>Holds widgets.</p>']
+    ]);
+
+    expect(entries.map(entry => [entry.name, entry.namespace, entry.fullName])).toEqual([
+      ['Widget', 'com.example', 'com.example.Widget'],
+      ['Gadget', 'Widgets', 'Widgets::Gadget']
+    ]);
+  });
+
+  test('should take namespaces from the TOC nodes a topic is filed under', () => {
+    const namespaces = extractor.namespacesFromTOC([
+      { name: 'Widgets.Drawing Namespace', local: 'html/N_Widgets_Drawing.htm', children: [
+        { name: 'Widget Class', local: 'html/T_Widget.htm#top', children: [] }
+      ] },
+      { name: 'Package com.example', local: null, children: [
+        { name: 'Classes', local: null, children: [{ name: 'Gadget', local: 'Gadget.html', children: [] }] }
+      ] },
+      { name: 'Overview', local: 'intro.htm', children: [] }
+    ]);
+
+    expect(Array.from(namespaces)).toEqual([
+      ['html/n_widgets_drawing.htm', 'Widgets.Drawing'],
+      ['html/t_widget.htm', 'Widgets.Drawing'],
+      ['gadget.html', 'com.example']
+    ]);
+    expect(classesFor([['/html/T_Widget.htm', '<h1>Widget Class</h1><p>Draws things.</p>']], namespaces)[0])
+      .toMatchObject({ namespace: 'Widgets.Drawing', fullName: 'Widgets.Drawing.Widget' });
+  });
+
+  test('should qualify classes named by topic titles or filed under a namespace in the TOC', () => {
+    const topics = [
+      { index: 0, title: 'Data.Sql.Connection Class', local: 'sql.htm', inContents: true },
+      { index: 1, title: 'Connection Class', local: 'odbc.htm', inContents: true },
+      { index: 2, title: 'Data.Sql.Connection Class', local: 'sql2.htm', inContents: true }
+    ];
+    const namespaces = new Map([['odbc.htm', 'Data.Odbc']]);
+    const textEntries = [
+      { type: 'Class', name: 'Connection', namespace: 'Data.Odbc', fullName: 'Data.Odbc.Connection', description: 'ODBC', members: [] },
+      { type: 'Class', name: 'Connection', namespace: 'Data.Sql', fullName: 'Data.Sql.Connection', description: 'SQL', members: [] }
+    ];
+
+    const entries = extractor.classesFromTopics(null, { entries: [] }, topics, textEntries, namespaces);
+
+    expect(entries.map(entry => [entry.fullName, entry.description])).toEqual([
+      ['Data.Sql.Connection', 'SQL'],
+      ['Data.Odbc.Connection', 'ODBC']
+    ]);
+  });
+
+  test('should pair each catalogue title with the entry read from its own topic', () => {
+    const topics = [
+      { index: 0, title: 'Connection Class', local: 'odbc/connection.htm', inContents: true },
+      { index: 1, title: 'Connection Class', local: 'sql/connection.htm', inContents: true }
+    ];
+    const source = path => ({ path, offset: null, lines: [1, 2], rule: 'topic title' });
+    const textEntries = [
+      { type: 'Class', name: 'Connection', namespace: 'Data.Sql', fullName: 'Data.Sql.Connection', description: 'SQL', source: source('/sql/connection.htm') },
+      { type: 'Class', name: 'Connection', namespace: 'Data.Odbc', fullName: 'Data.Odbc.Connection', description: 'ODBC', source: source('/odbc/connection.htm') }
+    ];
+
+    const entries = extractor.classesFromTopics(null, { entries: [] }, topics, textEntries);
+
+    expect(entries.map(entry => [entry.fullName, entry.description, entry.source.path])).toEqual([
+      ['Data.Odbc.Connection', 'ODBC', '/odbc/connection.htm'],
+      ['Data.Sql.Connection', 'SQL', '/sql/connection.htm']
+    ]);
+  });
+
+  describe('grouped view', () => {
+    beforeEach(() => {
+      extractor.jsonData = [
+        { type: 'Class', name: 'Widget', namespace: 'Widgets', fullName: 'Widgets.Widget', description: 'Draws' },
+        { type: 'Class', name: 'Helper', namespace: null, fullName: 'Helper', description: 'Helps' },
+        { type: 'Class', name: 'Canvas', namespace: 'Drawing', fullName: 'Drawing.Canvas', description: 'Paints' }
+      ];
+    });
+
+    test('should list entries under their namespace when grouping is on', () => {
+      document.getElementById('groupByNamespace').checked = true;
+      document.getElementById('groupByNamespace').dispatchEvent(new Event('change'));
+
+      const json = extractor.buildJSONDocument();
+
+      expect(json.entries).toBeUndefined();
+      expect(json.namespaces.map(group => [group.namespace, group.entries.map(entry => entry.name)])).toEqual([
+        [null, ['Helper']],
+        ['Drawing', ['Canvas']],
+        ['Widgets', ['Widget']]
+      ]);
+      expect(JSON.parse(document.getElementById('jsonPreview').textContent).namespaces).toHaveLength(3);
+    });
+
+    test('should order CSV rows by namespace when grouping is on', () => {
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      global.URL.createObjectURL = jest.fn();
+      jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+      extractor.setGroupByNamespace(true);
+
+      extractor.downloadCSV();
+
+      expect(mockBlob.mock.calls[0][0][0].split('\n')).toEqual([
+        'Type,Name,Description,Namespace',
+        'Class,"Helper","Helps",""',
+        'Class,"Canvas","Paints","Drawing"',
+        'Class,"Widget","Draws","Widgets"'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for generator profiles: detection, forcing a profile and the layouts each one reads
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('Generator profiles', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  test.each([
+    ['<xml><MSHelp:Keyword Index="A" Term="Widget class"/></xml>', 'sandcastle'],
+    ['<body><div id="nstext"><p>Draws things.</p></div></body>', 'ndoc'],
+    ['<meta name="generator" content="Doxygen 1.9.1"/>', 'doxygen'],
+    ['<!-- Generated by javadoc (1.8.0_181) on Mon Jan 07 -->', 'javadoc'],
+    ['<h1>Class Widget</h1>', 'htmlhelp']
+  ])('should detect the generator from the markup %s', (text, id) => {
+    expect(extractor.detectProfile([{ path: '/topic.htm', text }], []).id).toBe(id);
+  });
+
+  test('should detect the generator from file names when the markup says nothing', () => {
+    const paths = ['/html/N_Widgets.htm', '/html/T_Widgets_Widget.htm', '/html/M_Widgets_Widget_Draw.htm', '/index.htm'];
+
+    expect(extractor.detectProfile([], paths).id).toBe('sandcastle');
+    expect(extractor.detectProfile([], ['/classWidget.html', '/annotated.html']).id).toBe('doxygen');
+    expect(extractor.detectProfile([], ['/allclasses-frame.html', '/com/example/package-summary.html']).id).toBe('javadoc');
+  });
+
+  test('should use a forced profile instead of detecting one', () => {
+    extractor.setProfile('ndoc');
+
+    expect(extractor.detectProfile([{ path: '/a.html', text: '<!-- Generated by javadoc -->' }], []).id).toBe('ndoc');
+    extractor.setProfile('');
+    expect(extractor.profileOverride).toBeNull();
+    expect(extractor.currentProfile().id).toBe('htmlhelp');
+  });
+
+  test.each([
+    ['sandcastle', 'Widget Class\nDraws widgets.\nColor Enumeration\nWidget colours.',
+      [['Class', 'Widget', 'Draws widgets.'], ['Enum', 'Color', 'Widget colours.']]],
+    ['doxygen', 'Widgets::Canvas Class Reference\nA drawing surface.\nPoint Struct Reference',
+      [['Class', 'Widgets::Canvas', 'A drawing surface.'], ['Struct', 'Point', 'Point struct']]],
+    ['javadoc', 'Class com.example.Widget\nDraws widgets.',
+      [['Class', 'com.example.Widget', 'Draws widgets.']]]
+  ])('should read the %s title layout from plain text', (id, text, expected) => {
+    extractor.setProfile(id);
+
+    expect(extractor.containsRelevantText(text)).toBe(true);
+    expect(extractor.toStructuredJSON(text).map(entry => [entry.type, entry.name, entry.description])).toEqual(expected);
+  });
+
+  test('should not read a profile\'s listing pages as type topics, but keep their members', () => {
+    extractor.setProfile('javadoc');
+    const entries = extractor.classesFromPages([
+      { path: '/com/example/Widget.html', text: '<title>Widget</title><h2 class="title">Class Widget</h2><div class="block">Draws.</div>' },
+      { path: '/com/example/class-use/Widget.html', text: '<title>Widget</title><h2 class="title">Class Widget</h2><p>Uses.</p>' },
+      { path: '/com/example/package-summary.html', text: '<h1>Interface IWidget</h1><p>Listed here.</p>' }
+    ]);
+
+    expect(entries.map(entry => [entry.name, entry.description])).toEqual([['Widget', 'Draws.']]);
+  });
+
+  test('should detect the profile when loading a CHM and report it in the output', async () => {
+    const buffer = buildCHM([
+      { path: '/classWidget.html', data: '<meta name="generator" content="Doxygen 1.9.1"/><div class="title">Widget Class Reference</div><p>Draws.</p>' },
+      { path: '/annotated.html', data: '<meta name="generator" content="Doxygen 1.9.1"/><div class="title">Class List</div>' }
+    ]);
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.jsonData.map(entry => entry.name)).toEqual(['Widget']);
+    expect(extractor.buildJSONDocument().profile).toEqual({ id: 'doxygen', name: 'Doxygen', forced: false });
+    await extractor.setProfile('doxygen');
+    expect(extractor.buildJSONDocument().profile.forced).toBe(true);
+  });
+});
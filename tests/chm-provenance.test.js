@@ -0,0 +1,99 @@
+/**
+ * Tests for entry sources: where each entry was read and which rule matched
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('Entry sources', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  test('should name the text pattern that matched each line', () => {
+    const entries = extractor.toStructuredJSON('Class Widget: Draws things\nClass Gadget (Holds widgets)\nInterface IShape: A shape');
+
+    expect(entries.map(entry => [entry.name, entry.source.lines, entry.source.rule])).toEqual([
+      ['Widget', [1, 1], 'Class Name: description'],
+      ['Gadget', [2, 2], 'Class Name (description)'],
+      ['IShape', [3, 3], 'Interface Name: description']
+    ]);
+  });
+
+  test('should give the byte offset of raw-scan matches', () => {
+    const entries = extractor.toStructuredJSON('Overview text\nClass Widget  Draws things', { offsets: [0, 8192] });
+    expect(entries[0].source).toEqual({ path: null, offset: 8192, lines: [2, 2], rule: 'Class Name description' });
+  });
+
+  test('should record scan offsets when a file has no readable topics', () => {
+    const buffer = new ArrayBuffer(CHMJsonExtractor.SCAN_CHUNK_SIZE * 2);
+    new TextEncoder().encodeInto('Class Widget  Draws things', new Uint8Array(buffer, CHMJsonExtractor.SCAN_CHUNK_SIZE));
+
+    extractor.scanRawContent(buffer);
+
+    expect(extractor.scanOffsets).toEqual([CHMJsonExtractor.SCAN_CHUNK_SIZE]);
+  });
+
+  test('should find the preview entry under the caret, flat and grouped', () => {
+    extractor.jsonData = [
+      { type: 'Class', name: 'Widget', namespace: 'B', fullName: 'B.Widget', description: 'Draws' },
+      { type: 'Class', name: 'Gadget', namespace: 'A', fullName: 'A.Gadget', description: 'Holds' }
+    ];
+    const textOf = () => JSON.stringify(extractor.buildJSONDocument(), null, 2);
+
+    let text = textOf();
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"Draws"'))).toBe(extractor.jsonData[0]);
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"Holds"'))).toBe(extractor.jsonData[1]);
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"metadata"'))).toBeNull();
+
+    extractor.groupByNamespace = true;
+    text = textOf();
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"Holds"'))).toBe(extractor.jsonData[1]);
+    expect(extractor.entryAtPreviewOffset(text, text.indexOf('"Draws"'))).toBe(extractor.jsonData[0]);
+  });
+
+  test('should show the source topic with the entry lines marked', async () => {
+    const buffer = buildCHM([
+      { path: '/widget.htm', data: '<html>\n<h1>Widget Class</h1>\n<p>Draws things</p>\n</html>' }
+    ]);
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    extractor.showSource(extractor.jsonData[0]);
+
+    expect(document.getElementById('sourcePanel').style.display).toBe('block');
+    expect(document.getElementById('sourceCaption').textContent).toBe('/widget.htm, lines 2–3 (topic title)');
+    expect(document.querySelector('#sourceView mark').textContent).toBe('<h1>Widget Class</h1>\n<p>Draws things</p>');
+    expect(document.getElementById('sourceView').textContent).toBe('<html>\n<h1>Widget Class</h1>\n<p>Draws things</p>\n</html>');
+  });
+
+  test('should fall back to the raw-scan text for entries without a topic', () => {
+    extractor.rawText = 'Overview\nClass Widget  Draws things';
+    const [entry] = extractor.toStructuredJSON(extractor.rawText, { offsets: [0, 4096] });
+
+    extractor.showSource(entry);
+
+    expect(document.getElementById('sourceCaption').textContent).toBe('byte offset 4096, lines 2–2 (Class Name description)');
+    expect(document.querySelector('#sourceView mark').textContent).toBe('Class Widget  Draws things');
+  });
+
+  test('should say the source is unavailable when its topic can\'t be read', () => {
+    extractor.directory = { entries: [{ path: '/widget.htm', section: 1, offset: 0, length: 10 }] };
+    jest.spyOn(extractor, 'readDirectoryFile').mockImplementation(() => {
+      throw new Error('Corrupt LZX block');
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    extractor.showSource({ type: 'Class', name: 'Widget', source: { path: '/widget.htm', offset: null, lines: [1, 1], rule: 'topic title' } });
+
+    expect(document.getElementById('sourcePanel').style.display).toBe('block');
+    expect(document.getElementById('sourceCaption').textContent).toBe('/widget.htm is unavailable: Corrupt LZX block');
+    expect(document.getElementById('sourceView').textContent).toBe('');
+  });
+
+  test('should leave the panel hidden when the source cannot be found', () => {
+    extractor.showSource({ type: 'Class', name: 'Widget', source: { path: '/missing.htm', offset: null, lines: [1, 1], rule: 'topic title' } });
+    expect(document.getElementById('sourcePanel').style.display).toBe('none');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for user-defined extraction rules: parsing, matching, preview and import/export
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM } = require('./chm-fixtures.js');
+
+describe('User-defined rules', () => {
+  let extractor;
+
+  const ruleSet = {
+    rules: [
+      {
+        name: 'API blocks',
+        type: 'Command',
+        selector: 'div.api',
+        fields: { name: 'h3', description: '.summary', syntax: 'code', link: 'a@href' }
+      },
+      { name: 'Error codes', type: 'ErrorCode', pattern: 'E(?<code>\\d{4}): (?<text>[^.]+)\\.', fields: { name: 'code', description: 2 } }
+    ]
+  };
+  const page = `<h1>Commands</h1>
+    <div class="api"><h3>Tools.Open</h3><p class="summary">Opens a   file.</p><code>open(path)</code><a href="open.htm">more</a></div>
+    <div class="api"><h3>Close</h3></div>
+    <div class="api"><p>No heading here.</p></div>
+    <p>E0042: Disk is full. E0043: Path not found.</p>`;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  test('should read entries with selectors and regexes, copying extra fields', () => {
+    const rules = extractor.parseRules(JSON.stringify(ruleSet));
+
+    expect(extractor.entriesFromRules([{ path: '/commands.htm', text: page }], '', rules)).toEqual([
+      {
+        type: 'Command', name: 'Open', namespace: 'Tools', fullName: 'Tools.Open',
+        description: 'Opens a file.', syntax: 'open(path)', link: 'open.htm',
+        source: { path: '/commands.htm', offset: null, lines: [2, 2], rule: 'rule "API blocks"' }
+      },
+      {
+        type: 'Command', name: 'Close', namespace: null, fullName: 'Close', description: 'Close command', syntax: null, link: null,
+        source: { path: '/commands.htm', offset: null, lines: [3, 3], rule: 'rule "API blocks"' }
+      },
+      {
+        type: 'ErrorCode', name: '0042', namespace: null, fullName: '0042', description: 'Disk is full',
+        source: { path: '/commands.htm', offset: null, lines: [5, 5], rule: 'rule "Error codes"' }
+      },
+      {
+        type: 'ErrorCode', name: '0043', namespace: null, fullName: '0043', description: 'Path not found',
+        source: { path: '/commands.htm', offset: null, lines: [5, 5], rule: 'rule "Error codes"' }
+      }
+    ]);
+  });
+
+  test('should run patterns over the raw-scan text when there are no topics', () => {
+    const rules = extractor.parseRules('[{ "type": "ErrorCode", "pattern": "E(\\\\d+):", "fields": { "name": 1 } }]');
+
+    expect(extractor.entriesFromRules([], 'E0042: Disk is full.', rules).map(entry => entry.name)).toEqual(['0042']);
+  });
+
+  test.each([
+    ['{ "rules": [', 'Rules are not valid JSON'],
+    ['{ "filters": [] }', 'A rule set needs a "rules" list'],
+    ['[{ "selector": "div" }]', 'Rule 1 needs a "type"'],
+    ['[{ "type": "A", "selector": "div", "pattern": "x", "fields": { "name": "h3" } }]', 'Rule 1 needs either a "selector" or a "pattern"'],
+    ['[{ "name": "Blocks", "type": "A", "selector": "div" }]', 'Rule 1 (Blocks) needs a "name" field'],
+    ['[{ "type": "A", "selector": "div[", "fields": { "name": "h3" } }]', 'Rule 1 has an invalid selector: div['],
+    ['[{ "type": "A", "selector": "div", "fields": { "name": "h3>>" } }]', 'Rule 1 has an invalid selector: h3>>'],
+    ['[{ "type": "A", "pattern": "(", "fields": { "name": 1 } }]', 'Rule 1 has an invalid pattern']
+  ])('should reject %s', (text, message) => {
+    expect(() => extractor.parseRules(text)).toThrow(message);
+  });
+
+  test('should preview matches live and report rules that don\'t parse', () => {
+    extractor.setRules('{ "rules": [');
+    expect(document.getElementById('rulesPreview').textContent).toContain('Rules are not valid JSON');
+
+    extractor.setRules(JSON.stringify(ruleSet));
+    expect(extractor.rules).toHaveLength(2);
+    expect(document.getElementById('rulesPreview').textContent).toBe('2 rule(s). Load a CHM file to preview their matches.');
+
+    extractor.file = { name: 'commands.chm' };
+    extractor.pages = [{ path: '/commands.htm', text: page }];
+    extractor.setRules(JSON.stringify(ruleSet));
+    expect(document.getElementById('rulesPreview').textContent).toMatch(/^4 match\(es\)\n\[/);
+  });
+
+  test('should preview once typing in the editor pauses', () => {
+    jest.useFakeTimers();
+    extractor.file = { name: 'commands.chm' };
+    extractor.pages = [{ path: '/commands.htm', text: page }];
+    jest.spyOn(extractor, 'entriesFromRules');
+    const editor = document.getElementById('rulesEditor');
+    const text = JSON.stringify(ruleSet);
+
+    for (const end of [text.length - 2, text.length - 1, text.length]) {
+      editor.value = text.slice(0, end);
+      editor.dispatchEvent(new Event('input'));
+    }
+    expect(extractor.entriesFromRules).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(CHMJsonExtractor.RULES_PREVIEW_DELAY);
+    expect(extractor.entriesFromRules).toHaveBeenCalledTimes(1);
+    expect(document.getElementById('rulesPreview').textContent).toMatch(/^4 match\(es\)\n\[/);
+    jest.useRealTimers();
+  });
+
+  test('should add rule entries to a loaded CHM and keep them in every export', async () => {
+    extractor.setRules(JSON.stringify(ruleSet));
+    const buffer = buildCHM([
+      { path: '/widget.htm', data: '<h1>Widget Class</h1><p>Draws things.</p>' },
+      { path: '/commands.htm', data: page }
+    ]);
+
+    await extractor.loadFile({ name: 'commands.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    extractor.setIncludedKinds(['Enum']);
+
+    expect(extractor.jsonData.map(entry => [entry.type, entry.fullName])).toEqual([
+      ['Class', 'Widget'], ['Command', 'Tools.Open'], ['Command', 'Close'], ['ErrorCode', '0042'], ['ErrorCode', '0043']
+    ]);
+    expect(extractor.selectedEntries().map(entry => entry.type)).toEqual(['Command', 'Command', 'ErrorCode', 'ErrorCode']);
+  });
+
+  test('should quote rule-captured names in the CSV', () => {
+    extractor.jsonData = [{ type: 'Command', name: 'Say "hi", then quit', namespace: null, fullName: 'Say "hi", then quit', description: 'Greets.' }];
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+
+    extractor.downloadCSV();
+
+    expect(mockBlob.mock.calls[0][0][0]).toBe('Type,Name,Description,Namespace\nCommand,"Say ""hi"", then quit","Greets.",""');
+  });
+
+  test('should import and export rule sets as JSON', async () => {
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    global.URL.createObjectURL = jest.fn();
+
+    await extractor.importRules({ text: () => Promise.resolve(JSON.stringify(ruleSet)) });
+    expect(document.getElementById('rulesEditor').value).toBe(JSON.stringify(ruleSet));
+
+    const link = { click: jest.fn() };
+    jest.spyOn(document, 'createElement').mockReturnValue(link);
+    extractor.exportRules();
+
+    expect(link.download).toBe('chm_rules.json');
+    const exported = mockBlob.mock.calls[0][0][0];
+    expect(JSON.parse(exported).rules[1]).toEqual({
+      name: 'Error codes', type: 'ErrorCode', selector: null, pattern: 'E(?<code>\\d{4}): (?<text>[^.]+)\\.', flags: '',
+      fields: { name: 'code', description: 2 }
+    });
+    expect(extractor.parseRules(exported)).toEqual(extractor.rules);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the raw binary scan: runs of text read across window edges
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+
+describe('Raw content scan', () => {
+  const STEP = CHMJsonExtractor.SCAN_CHUNK_SIZE;
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+    extractor.encoding = 'windows-1252';
+  });
+
+  // A zero-filled file of `size` bytes with each [offset, bytes] written into it
+  function fileWith(size, ...parts) {
+    const bytes = new Uint8Array(size);
+    for (const [offset, data] of parts) {
+      bytes.set(typeof data === 'string' ? new TextEncoder().encode(data) : data, offset);
+    }
+    return bytes.buffer;
+  }
+
+  test('should keep a definition that crosses a window edge whole', () => {
+    const buffer = fileWith(STEP * 2, [STEP - 10, 'Class Widget  Draws things']);
+
+    expect(extractor.scanChunks(buffer)).toEqual([{ offset: STEP - 10, text: 'Class Widget Draws things' }]);
+  });
+
+  test('should carry a multi-byte character across a window edge', () => {
+    extractor.encoding = 'shift_jis';
+    // "ウィジェット" in Shift_JIS, its first lead byte the last byte of the window
+    const name = [0x83, 0x45, 0x83, 0x42, 0x83, 0x57, 0x83, 0x46, 0x83, 0x62, 0x83, 0x67];
+    const text = new TextEncoder().encode('Class Widget  ');
+    const buffer = fileWith(STEP * 2, [STEP - 1 - text.length, text], [STEP - 1, name]);
+
+    expect(extractor.scanChunks(buffer)).toEqual([{ offset: STEP - 1 - text.length, text: 'Class Widget ウィジェット' }]);
+  });
+
+  test('should judge each run of text on its own, not by the window around it', () => {
+    const noise = new Uint8Array(3000).fill(0x01);
+    const buffer = fileWith(STEP, [0, noise], [3000, 'Class Widget  Draws things'], [3100, 'An overview of the library']);
+
+    expect(extractor.scanChunks(buffer)).toEqual([{ offset: 3000, text: 'Class Widget Draws things' }]);
+  });
+
+  test('should split long runs without dropping or repeating definitions', () => {
+    const text = Array.from({ length: 600 }, (_, i) => `Class Widget${i}  Draws things.`).join(' ');
+    const chunks = extractor.scanChunks(fileWith(text.length + 1, [0, text]));
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.map(chunk => chunk.text).join(' ')).toBe(text.replace(/\s+/g, ' '));
+    for (const chunk of chunks) {
+      expect(chunk.text.startsWith('Class Widget')).toBe(true);
+      expect(text.slice(chunk.offset).replace(/\s+/g, ' ').startsWith(chunk.text)).toBe(true);
+    }
+  });
+
+  test('should count bytes, not characters, for the offset of a split run', () => {
+    extractor.encoding = 'shift_jis';
+    const bytes = new Uint8Array([0x83, 0x45, 0x41, 0x83, 0x42]);
+
+    expect(extractor.scanByteLength(bytes, 2, 'shift_jis')).toBe(3);
+    expect(extractor.scanByteLength(bytes, 3, 'shift_jis')).toBe(5);
+  });
+
+  test('should read UTF-16 text stored inside a single-byte file', () => {
+    const utf16 = Uint8Array.from([...'Class Widget  Draws things'].flatMap(c => [c.charCodeAt(0), 0]));
+    const buffer = fileWith(200, [50, utf16]);
+
+    expect(extractor.scanChunks(buffer)).toEqual([{ offset: 50, text: 'Class Widget Draws things' }]);
+  });
+
+  test('should detect the generator from the runs without decoding the whole file', () => {
+    jest.spyOn(extractor, 'decodeText');
+    const marked = fileWith(STEP * 3, [10, '<!-- Generated by Doxygen 1.9.1 -->'], [STEP * 2, 'Widgets::Canvas Class Reference']);
+    const named = fileWith(STEP, [10, '/html/T_Widget.htm'], [100, '/html/M_Widget_Draw.htm']);
+
+    extractor.scanRawContent(marked);
+    expect(extractor.profile.id).toBe('doxygen');
+    extractor.scanRawContent(named);
+    expect(extractor.profile.id).toBe('sandcastle');
+    expect(extractor.decodeText).not.toHaveBeenCalled();
+  });
+
+  test('should feed the runs to the extraction with their offsets', () => {
+    const buffer = fileWith(STEP * 3, [STEP * 2 - 4, 'Class Widget  Draws things']);
+    const entries = extractor.toStructuredJSON(extractor.scanRawContent(buffer), { offsets: extractor.scanOffsets });
+
+    expect(entries).toEqual([{
+      type: 'Class', name: 'Widget', description: 'Draws things',
+      source: { path: null, offset: STEP * 2 - 4, lines: [1, 1], rule: 'Class Name description' }
+    }]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the $FIftiMain full-text search index
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildFullTextIndex, buildTopicFiles } = require('./chm-fixtures.js');
+
+describe('Full-text search index', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  const TOPICS = [
+    { index: 0, title: 'Introduction', local: 'intro.htm', inContents: true },
+    { index: 1, title: 'Widget Class', local: 'widget.htm', inContents: true },
+    { index: 2, title: 'Gadget Class', local: 'gadget.htm', inContents: true }
+  ];
+
+  const WORDS = [
+    { word: 'draw', occurrences: [{ topic: 1, locations: [4, 9, 300] }] },
+    { word: 'drawing', occurrences: [{ topic: 0, locations: [12] }, { topic: 2, locations: [1, 2] }] },
+    { word: 'gadget', inTitle: true, occurrences: [{ topic: 2, locations: [0] }] },
+    { word: 'widget', inTitle: true, occurrences: [{ topic: 0, locations: [5] }, { topic: 1, locations: [0, 70000] }] }
+  ];
+
+  describe('parseFullTextIndex', () => {
+    test('should decode every word with its topics and locations', () => {
+      const words = extractor.parseFullTextIndex(buildFullTextIndex(WORDS), TOPICS);
+
+      expect(words.map(w => w.word)).toEqual(['draw', 'drawing', 'gadget', 'widget']);
+      expect(words[1]).toEqual({
+        word: 'drawing',
+        inTitle: false,
+        occurrences: [
+          { topic: 0, title: 'Introduction', local: 'intro.htm', locations: [12] },
+          { topic: 2, title: 'Gadget Class', local: 'gadget.htm', locations: [1, 2] }
+        ]
+      });
+      expect(words[3].inTitle).toBe(true);
+      expect(words[3].occurrences[1].locations).toEqual([0, 70000]);
+    });
+
+    test('should walk the chain of leaf nodes and undo front compression', () => {
+      const many = [];
+      for (let i = 0; i < 60; i++) {
+        many.push({ word: `widget${String(i).padStart(2, '0')}`, occurrences: [{ topic: i, locations: [i] }] });
+      }
+
+      const words = extractor.parseFullTextIndex(buildFullTextIndex(many, { nodeLength: 128 }), []);
+
+      expect(words.map(w => w.word)).toEqual(many.map(w => w.word));
+      expect(words[59].occurrences).toEqual([{ topic: 59, title: null, local: null, locations: [59] }]);
+    });
+
+    test('should decode with other scale/root parameters', () => {
+      const words = extractor.parseFullTextIndex(buildFullTextIndex(WORDS, { roots: [0, 0, 0] }), TOPICS);
+      expect(words[0].occurrences[0].locations).toEqual([4, 9, 300]);
+    });
+
+    test('should reject an unknown scale', () => {
+      const data = buildFullTextIndex(WORDS);
+      data[0x1E] = 3;
+      expect(() => extractor.parseFullTextIndex(data, TOPICS)).toThrow('scale');
+    });
+  });
+
+  test('should return no words when the CHM has no full-text index', () => {
+    const buffer = buildCHM([{ path: '/a.htm', data: 'A' }]);
+    const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+    expect(extractor.readFullTextIndex(buffer, directory, [])).toEqual([]);
+  });
+
+  describe('downloadSearchIndex', () => {
+    test('should export a word map and the hits for every extracted entry', async () => {
+      const buffer = buildCHM([
+        ...buildTopicFiles(TOPICS),
+        { path: '/$FIftiMain', data: buildFullTextIndex(WORDS), compressed: true },
+        { path: '/widget.htm', data: '<h1>Widget Class</h1><p>Draws things</p>' }
+      ]);
+      await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+
+      extractor.downloadSearchIndex();
+
+      const written = JSON.parse(mockBlob.mock.calls[0][0][0]);
+      expect(written.source).toBe('widgets.chm');
+      expect(Object.keys(written.words)).toEqual(['draw', 'drawing', 'gadget', 'widget']);
+      expect(written.words.gadget).toEqual({
+        inTitle: true,
+        occurrences: [{ topic: 2, title: 'Gadget Class', local: 'gadget.htm', locations: [0] }]
+      });
+      expect(written.entryHits).toEqual([
+        { name: 'Widget', hits: ['intro.htm', 'widget.htm'] },
+        { name: 'Gadget', hits: ['gadget.htm'] }
+      ]);
+      expect(document.getElementById('downloadSearchBtn').style.display).toBe('');
+    });
+
+    test('should map words and entries named like Object properties', () => {
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+      extractor.jsonData = [{ type: 'Class', name: 'Constructor', description: 'Builds things' }];
+
+      extractor.searchIndex = [{ word: 'constructor', inTitle: false, occurrences: [{ topic: 1, title: 'Widget Class', local: 'widget.htm', locations: [3] }] }];
+      extractor.downloadSearchIndex();
+      extractor.searchIndex = [{ word: 'widget', inTitle: true, occurrences: [] }];
+      extractor.downloadSearchIndex();
+
+      const [found, missing] = mockBlob.mock.calls.map(call => JSON.parse(call[0][0]));
+      expect(found.words.constructor.occurrences).toHaveLength(1);
+      expect(found.entryHits).toEqual([{ name: 'Constructor', hits: ['widget.htm'] }]);
+      expect(missing.entryHits).toEqual([{ name: 'Constructor', hits: [] }]);
+    });
+
+    test('should not download when there is no search index', () => {
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+
+      extractor.downloadSearchIndex();
+
+      expect(mockBlob).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for member signatures, parameters, return values and exceptions
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+
+describe('Member signatures', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function classesFor(pages) {
+    return extractor.classesFromPages(pages.map(([path, text]) => ({ path, text })));
+  }
+
+  test('should read a Sandcastle member topic with language tabs', () => {
+    const [widget] = classesFor([
+      ['/html/T_Widget.htm', `<h1>Widget Class</h1><p>Draws things.</p>
+        <h2>Methods</h2><table><tr><td><a href="M_Widget_Resize.htm">Resize</a></td><td>Resizes the widget.</td></tr></table>`],
+      ['/html/M_Widget_Resize.htm', `<h1>Widget.Resize Method</h1><div class="summary">Resizes the widget.</div>
+        <div class="sectionTitle">Syntax</div>
+        <div class="codeSnippetContainer">
+          <div class="codeSnippetContainerTabs">
+            <div class="codeSnippetContainerTab">C#</div><div class="codeSnippetContainerTab">VB</div>
+          </div>
+          <div class="codeSnippetContainerCode"><pre>public bool Resize(
+  int width,
+  int height
+)</pre></div>
+          <div class="codeSnippetContainerCode"><pre>Public Function Resize (
+  width As Integer,
+  height As Integer
+) As Boolean</pre></div>
+        </div>
+        <h4 class="subHeading">Parameters</h4>
+        <dl>
+          <dt><span class="parameter">width</span></dt><dd>Type: <a href="T_Int32.htm">System.Int32</a><br />New width in pixels.</dd>
+          <dt><span class="parameter">height</span></dt><dd>New height in pixels.</dd>
+        </dl>
+        <h4 class="subHeading">Return Value</h4>Type: <a href="T_Boolean.htm">Boolean</a><br />true if the size changed.
+        <div class="sectionTitle">Exceptions</div>
+        <table><tr><th>Exception</th><th>Condition</th></tr>
+          <tr><td><a href="T_ArgumentOutOfRangeException.htm">ArgumentOutOfRangeException</a></td><td>A size is negative.</td></tr>
+        </table>`]
+    ]);
+
+    expect(widget.members).toEqual([{
+      kind: 'method',
+      name: 'Resize',
+      summary: 'Resizes the widget.',
+      link: 'html/M_Widget_Resize.htm',
+      syntax: [
+        { language: 'C#', signature: 'public bool Resize(int width, int height)' },
+        { language: 'Visual Basic', signature: 'Public Function Resize (width As Integer, height As Integer) As Boolean' }
+      ],
+      parameters: [
+        { name: 'width', type: 'System.Int32', description: 'New width in pixels.' },
+        { name: 'height', type: 'int', description: 'New height in pixels.' }
+      ],
+      returns: { type: 'Boolean', description: 'true if the size changed.' },
+      exceptions: [{ type: 'ArgumentOutOfRangeException', description: 'A size is negative.' }],
+      examples: []
+    }]);
+  });
+
+  test('should label signatures by codeLanguage blocks and take parameters from the declaration', () => {
+    const { member } = extractor.memberFromTopic(extractor.parseHTML(`
+      <h1>Widget.Draw Method</h1><p>Draws the widget.</p>
+      <h2>Syntax</h2>
+      <div id="syntaxCodeBlocks">
+        <span codeLanguage="VisualBasic"><pre>Public Sub Draw (canvas As Canvas)</pre></span>
+        <span codeLanguage="ManagedCPlusPlus"><pre>public:
+void Draw(Canvas^ canvas)</pre></span>
+      </div>
+      <h2>See Also</h2><p><a href="T_Widget.htm">Widget Class</a></p>`), '/html/M_Widget_Draw.htm');
+
+    expect(member.syntax).toEqual([
+      { language: 'Visual Basic', signature: 'Public Sub Draw (canvas As Canvas)' },
+      { language: 'C++', signature: 'public: void Draw(Canvas^ canvas)' }
+    ]);
+    expect(member.parameters).toEqual([{ name: 'canvas', type: 'Canvas', description: null }]);
+    expect(member.returns).toBeNull();
+    expect(member.exceptions).toEqual([]);
+  });
+
+  test('should read NDoc member topics', () => {
+    const { member } = extractor.memberFromTopic(extractor.parseHTML(`
+      <h1>Widget.Area Property</h1><p>Gets the area.</p>
+      <div class="syntax">public <a href="System.Int32.html">int</a> Area {get;}</div>
+      <h4 class="dtH4">Property Value</h4><p>The area in square pixels.</p>
+      <h4 class="dtH4">Exceptions</h4>
+      <div class="tablediv"><table class="dtTABLE">
+        <tr valign="top"><th width="50%">Exception Type</th><th width="50%">Condition</th></tr>
+        <tr valign="top"><td width="50%"><a href="System.InvalidOperationException.html">InvalidOperationException</a></td><td>The widget is disposed.</td></tr>
+      </table></div>`), '/Widget.Area.html');
+
+    expect(member).toMatchObject({
+      kind: 'property',
+      name: 'Area',
+      syntax: [{ language: null, signature: 'public int Area {get;}' }],
+      parameters: [],
+      returns: { type: 'int', description: 'The area in square pixels.' },
+      exceptions: [{ type: 'InvalidOperationException', description: 'The widget is disposed.' }]
+    });
+  });
+
+  test('should read Javadoc member details from the class page', () => {
+    const [widget] = classesFor([['/api/Widget.html', `<title>Widget</title><h1>Class Widget</h1><p>Draws things.</p>
+      <table><tr><th colspan="2">Method Summary</th></tr>
+        <tr><td><code>int</code></td><td><code><a href="#area(int, int)">area</a>(int&nbsp;w, int&nbsp;h)</code><br>Computes an area.</td></tr>
+      </table>
+      <a name="area(int, int)"><!-- --></a>
+      <ul class="blockList"><li class="blockList">
+        <h4>area</h4>
+        <pre>public&nbsp;int&nbsp;area(int&nbsp;w,
+                int&nbsp;h)
+         throws java.io.IOException</pre>
+        <div class="block">Computes an area.</div>
+        <dl>
+          <dt><span class="paramLabel">Parameters:</span></dt>
+          <dd><code>w</code> - the width</dd>
+          <dd><code>h</code> - the height</dd>
+          <dt><span class="returnLabel">Returns:</span></dt>
+          <dd>the area</dd>
+          <dt><span class="throwsLabel">Throws:</span></dt>
+          <dd><code>java.io.IOException</code> - if the widget is closed</dd>
+        </dl>
+      </li></ul>
+      <a name="close()"><!-- --></a><h4>close</h4><pre>public&nbsp;void&nbsp;close()</pre>`]]);
+
+    expect(widget.members).toEqual([{
+      kind: 'method',
+      name: 'area',
+      summary: 'Computes an area.',
+      link: 'api/Widget.html#area(int,%20int)',
+      syntax: [{ language: null, signature: 'public int area(int w, int h) throws java.io.IOException' }],
+      parameters: [
+        { name: 'w', type: 'int', description: 'the width' },
+        { name: 'h', type: 'int', description: 'the height' }
+      ],
+      returns: { type: 'int', description: 'the area' },
+      exceptions: [{ type: 'java.io.IOException', description: 'if the widget is closed' }],
+      examples: []
+    }]);
+  });
+
+  test('should read Doxygen member documentation from the class page', () => {
+    const [widget] = classesFor([['/class_widget.html', `<title>Widget Class Reference</title>
+      <h1>Widget Class</h1><p>Draws things.</p>
+      <table class="memberdecls">
+        <tr class="heading"><td colspan="2"><h2 class="groupheader">Public Member Functions</h2></td></tr>
+        <tr class="memitem:a1"><td class="memItemLeft">void </td><td class="memItemRight"><a href="class_widget.html#a1">draw</a> (const Canvas &amp;canvas)</td></tr>
+      </table>
+      <a id="a1"></a>
+      <h2 class="memtitle">draw()</h2>
+      <div class="memitem">
+        <div class="memproto"><table class="memname"><tr>
+          <td class="memname">void Widget::draw </td><td>(</td>
+          <td class="paramtype">const Canvas &amp;&#160;</td><td class="paramname"><em>canvas</em></td><td>)</td>
+        </tr></table></div>
+        <div class="memdoc"><p>Draws the widget.</p>
+          <dl class="params"><dt>Parameters</dt><dd><table class="params">
+            <tr><td class="paramdir">[in]</td><td class="paramname">canvas</td><td>Where to draw.</td></tr>
+          </table></dd></dl>
+          <dl class="exception"><dt>Exceptions</dt><dd><table class="exception">
+            <tr><td class="paramname">std::runtime_error</td><td>The canvas is closed.</td></tr>
+          </table></dd></dl>
+        </div>
+      </div>`]]);
+
+    expect(widget.members[0]).toMatchObject({
+      name: 'draw',
+      syntax: [{ language: null, signature: 'void Widget::draw (const Canvas & canvas)' }],
+      parameters: [{ name: 'canvas', type: 'const Canvas &', description: 'Where to draw.' }],
+      returns: null,
+      exceptions: [{ type: 'std::runtime_error', description: 'The canvas is closed.' }]
+    });
+  });
+
+  test('should leave members without documented details unchanged', () => {
+    const { member } = extractor.memberFromTopic(extractor.parseHTML(
+      '<h1>Widget.Draw Method</h1><p>Draws the widget.</p>'), '/draw.htm');
+
+    expect(member).toEqual({ kind: 'method', name: 'Draw', summary: 'Draws the widget.', link: 'draw.htm' });
+  });
+
+  describe('parseSignature', () => {
+    test.each([
+      ['public static IList<string> Split(string text, char[] separators, int count = -1)',
+        [['text', 'string'], ['separators', 'char[]'], ['count', 'int']], 'IList<string>'],
+      ['Public Shared Function Parse(ByVal text As String, Optional ByRef count As Integer = 0) As Widget',
+        [['text', 'String'], ['count', 'Integer']], 'Widget'],
+      ['virtual const std::map<int, int>& lookup(const char* key, int (&out)[4]) const',
+        [['key', 'const char*']], 'const std::map<int, int>&'],
+      ['public function Draw(size : int) : Boolean', [['size', 'int']], 'Boolean'],
+      ['public event EventHandler Drawn', [], 'EventHandler'],
+      ['public Widget()', [], null]
+    ])('%s', (signature, parameters, returns) => {
+      const result = extractor.parseSignature(signature);
+
+      expect(result.parameters.map(parameter => [parameter.name, parameter.type])).toEqual(parameters);
+      expect(result.returns).toBe(returns);
+    });
+  });
+});
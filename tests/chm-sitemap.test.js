@@ -0,0 +1,153 @@
+/**
+ * Tests for sitemap (.hhc) parsing and the table of contents export
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildSystemFile } = require('./chm-fixtures.js');
+
+const SAMPLE_HHC = `<!DOCTYPE HTML PUBLIC "-//IETF//DTD HTML//EN">
+<HTML><HEAD></HEAD><BODY>
+<OBJECT type="text/site properties">
+  <param name="ImageType" value="Folder">
+</OBJECT>
+<UL>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="Introduction">
+    <param name="Local" value="html/intro.htm">
+    </OBJECT>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="Widgets &amp; Gadgets">
+    </OBJECT>
+  <UL>
+    <LI> <OBJECT type="text/sitemap">
+      <param name="Name" value="Widget Class">
+      <param name="Local" value="html/widget.htm">
+      </OBJECT>
+    <UL>
+      <LI> <OBJECT type="text/sitemap">
+        <param name="Name" value="Widget Members">
+        <param name="Local" value="html/widget_members.htm">
+        </OBJECT>
+    </UL>
+    <LI> <OBJECT type="text/sitemap">
+      <param name="Name" value="Gadget Class">
+      <param name="Local" value="html/gadget.htm">
+      </OBJECT>
+  </UL>
+  <LI> <OBJECT type="text/sitemap">
+    <param name="Name" value="Index">
+    <param name="Local" value="html/index.htm">
+    </OBJECT>
+</UL>
+</BODY></HTML>`;
+
+describe('Table of contents (.hhc)', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  describe('parseSitemap', () => {
+    test('should keep params in order and skip site properties', () => {
+      const nodes = extractor.parseSitemap(SAMPLE_HHC);
+
+      expect(nodes).toHaveLength(3);
+      expect(nodes[0].params).toEqual([
+        { name: 'Name', value: 'Introduction' },
+        { name: 'Local', value: 'html/intro.htm' }
+      ]);
+    });
+
+    test('should tolerate unclosed OBJECT and LI tags', () => {
+      const nodes = extractor.parseSitemap(
+        '<ul><li><object type="text/sitemap"><param name="Name" value="A">' +
+        '<li><object type="text/sitemap"><param name="Name" value="B"></ul>'
+      );
+
+      expect(nodes.map(node => extractor.getSitemapParam(node, 'name'))).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('decodeEntities', () => {
+    test('should decode named and numeric entities', () => {
+      expect(extractor.decodeEntities('a &amp; b &lt;c&gt; &#65;&#x42; &unknown;')).toBe('a & b <c> AB &unknown;');
+    });
+  });
+
+  describe('readTableOfContents', () => {
+    test('should build a nested { name, local, children } tree', () => {
+      const buffer = buildCHM([
+        { path: '/#SYSTEM', data: buildSystemFile([[0, 'api.hhc']]) },
+        { path: '/api.hhc', data: SAMPLE_HHC, compressed: true }
+      ]);
+      const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+      const metadata = extractor.readMetadata(buffer, directory);
+
+      const toc = extractor.readTableOfContents(buffer, directory, metadata);
+
+      expect(toc).toEqual([
+        { name: 'Introduction', local: 'html/intro.htm', children: [] },
+        {
+          name: 'Widgets & Gadgets',
+          local: null,
+          children: [
+            {
+              name: 'Widget Class',
+              local: 'html/widget.htm',
+              children: [{ name: 'Widget Members', local: 'html/widget_members.htm', children: [] }]
+            },
+            { name: 'Gadget Class', local: 'html/gadget.htm', children: [] }
+          ]
+        },
+        { name: 'Index', local: 'html/index.htm', children: [] }
+      ]);
+    });
+
+    test('should find the .hhc by extension when #SYSTEM does not name it', () => {
+      const buffer = buildCHM([{ path: '/Table of Contents.hhc', data: SAMPLE_HHC }]);
+      const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+
+      expect(extractor.readTableOfContents(buffer, directory, {})).toHaveLength(3);
+    });
+
+    test('should return an empty tree without a directory', () => {
+      expect(extractor.readTableOfContents(null, null, null)).toEqual([]);
+    });
+  });
+
+  describe('downloadTOC', () => {
+    test('should download the tree as chm_toc.json', () => {
+      extractor.file = { name: 'api.chm' };
+      extractor.toc = [{ name: 'Introduction', local: 'intro.htm', children: [] }];
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      const mockElement = { href: '', download: '', click: jest.fn() };
+      jest.spyOn(document, 'createElement').mockReturnValue(mockElement);
+
+      extractor.downloadTOC();
+
+      expect(mockElement.download).toBe('chm_toc.json');
+      expect(mockElement.click).toHaveBeenCalled();
+      expect(JSON.parse(mockBlob.mock.calls[0][0][0])).toEqual({ source: 'api.chm', toc: extractor.toc });
+    });
+
+    test('should not download an empty TOC', () => {
+      extractor.toc = [];
+      jest.spyOn(document, 'createElement');
+
+      extractor.downloadTOC();
+
+      expect(document.createElement).not.toHaveBeenCalled();
+    });
+
+    test('should show the TOC button after loading a CHM with a sitemap', async () => {
+      const buffer = buildCHM([{ path: '/api.hhc', data: SAMPLE_HHC }]);
+
+      await extractor.loadFile({ name: 'api.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+      expect(document.getElementById('downloadTOCBtn').style.display).toBe('');
+      expect(document.getElementById('downloadButtons').style.display).toBe('block');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for #SYSTEM metadata decoding and the JSON output envelope
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildSystemFile } = require('./chm-fixtures.js');
+
+function lcidRecord(lcid, filetime) {
+  const data = new Uint8Array(36);
+  const view = new DataView(data.buffer);
+  view.setUint32(0, lcid, true);
+  view.setBigUint64(20, filetime, true);
+  return data;
+}
+
+function timestampRecord(seconds) {
+  const data = new Uint8Array(4);
+  new DataView(data.buffer).setUint32(0, seconds, true);
+  return data;
+}
+
+describe('#SYSTEM metadata', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  test('should decode title, topics, file names, font, compiler and timestamp', () => {
+    const system = buildSystemFile([
+      [0, 'api.hhc'],
+      [1, 'api.hhk'],
+      [2, 'html/intro.htm'],
+      [3, 'Widget SDK Reference'],
+      [4, lcidRecord(0x0407, 0n)],
+      [6, 'widgets'],
+      [9, 'HHA Version 4.74.8702'],
+      [10, timestampRecord(1000000000)],
+      [16, 'Tahoma,8,0']
+    ]);
+
+    expect(extractor.parseSystemFile(system)).toEqual({
+      contentsFile: 'api.hhc',
+      indexFile: 'api.hhk',
+      defaultTopic: 'html/intro.htm',
+      title: 'Widget SDK Reference',
+      lcid: 0x0407,
+      compiledFile: 'widgets',
+      compilerVersion: 'HHA Version 4.74.8702',
+      timestamp: '2001-09-09T01:46:40.000Z',
+      defaultFont: 'Tahoma,8,0'
+    });
+  });
+
+  test('should fall back to the FILETIME in the LCID record', () => {
+    // 2001-09-09T01:46:40Z expressed in 100ns ticks since 1601
+    const system = buildSystemFile([[4, lcidRecord(0x0409, 126444736000000000n)]]);
+
+    expect(extractor.parseSystemFile(system).timestamp).toBe('2001-09-09T01:46:40.000Z');
+  });
+
+  test('should stop at a truncated record', () => {
+    const system = buildSystemFile([[3, 'Title']]);
+    const truncated = new Uint8Array(system.length + 4);
+    truncated.set(system);
+    new DataView(truncated.buffer).setUint16(system.length, 2, true);
+    new DataView(truncated.buffer).setUint16(system.length + 2, 400, true);
+
+    expect(extractor.parseSystemFile(truncated)).toEqual({ title: 'Title' });
+  });
+
+  test('should read metadata from the directory and default the LCID to the ITSF header', () => {
+    const buffer = buildCHM([{ path: '/#SYSTEM', data: buildSystemFile([[3, 'Help']]) }], { lcid: 0x0411 });
+    const directory = extractor.parseDirectory(buffer, extractor.validateCHM(buffer));
+
+    const metadata = extractor.readMetadata(buffer, directory);
+
+    expect(metadata.title).toBe('Help');
+    expect(metadata.lcid).toBe(0x0411);
+    expect(metadata.defaultTopic).toBeNull();
+  });
+
+  test('should return empty metadata when there is no directory', () => {
+    const metadata = extractor.readMetadata(null, null);
+    expect(metadata.title).toBeNull();
+    expect(metadata.lcid).toBeNull();
+  });
+
+  describe('JSON envelope', () => {
+    test('should wrap entries with the source file and metadata', async () => {
+      const buffer = buildCHM([
+        { path: '/#SYSTEM', data: buildSystemFile([[3, 'Widget SDK'], [6, 'widgets']]) },
+        { path: '/widget.htm', data: 'Class Widget  Draws things' }
+      ]);
+
+      await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+      const document = extractor.buildJSONDocument();
+
+      expect(document.source).toBe('widgets.chm');
+      expect(document.metadata.title).toBe('Widget SDK');
+      expect(document.metadata.compiledFile).toBe('widgets');
+      expect(document.entries).toEqual([{ type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Draws things',
+        source: { path: '/widget.htm', offset: null, lines: [1, 1], rule: 'Class Name description' },
+        confidence: { score: 0.5, reasons: ['found by Class Name description: 0.50'] } }]);
+    });
+
+    test('should download the envelope rather than a bare array', () => {
+      extractor.file = { name: 'test.chm' };
+      extractor.jsonData = [{ type: 'Class', name: 'TestClass', description: 'Test description' }];
+      const mockBlob = jest.fn();
+      global.Blob = mockBlob;
+      jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+
+      extractor.downloadJSON();
+
+      const written = JSON.parse(mockBlob.mock.calls[0][0][0]);
+      expect(written.source).toBe('test.chm');
+      expect(written.metadata).toHaveProperty('title', null);
+      expect(written.entries).toEqual(extractor.jsonData);
+    });
+  });
+});
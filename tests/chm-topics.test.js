@@ -0,0 +1,149 @@
+/**
+ * Tests for the #TOPICS/#STRINGS/#URLTBL/#URLSTR topic catalogue
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildTopicFiles } = require('./chm-fixtures.js');
+
+describe('Topic catalogue', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  function open(files) {
+    const buffer = buildCHM(files);
+    return { buffer, directory: extractor.parseDirectory(buffer, extractor.validateCHM(buffer)) };
+  }
+
+  test('should list every topic with its title, path and contents flag', () => {
+    const { buffer, directory } = open(buildTopicFiles([
+      { title: 'Introduction', local: 'html/intro.htm' },
+      { title: null, local: 'html/untitled.htm' },
+      { title: 'Widget Class', local: 'html/widget.htm', inContents: false }
+    ]));
+
+    expect(extractor.readTopicCatalogue(buffer, directory)).toEqual([
+      { index: 0, title: 'Introduction', local: 'html/intro.htm', inContents: true },
+      { index: 1, title: null, local: 'html/untitled.htm', inContents: true },
+      { index: 2, title: 'Widget Class', local: 'html/widget.htm', inContents: false }
+    ]);
+  });
+
+  test('should follow #URLTBL records across 4096-byte blocks', () => {
+    const topics = [];
+    for (let i = 0; i < 400; i++) {
+      topics.push({ title: `Topic ${i}`, local: `t${i}.htm` });
+    }
+    const { buffer, directory } = open(buildTopicFiles(topics));
+
+    const catalogue = extractor.readTopicCatalogue(buffer, directory);
+
+    expect(catalogue).toHaveLength(400);
+    expect(catalogue[399]).toMatchObject({ title: 'Topic 399', local: 't399.htm' });
+  });
+
+  test('should return an empty catalogue when any of the files is missing', () => {
+    const { buffer, directory } = open(buildTopicFiles([{ title: 'A', local: 'a.htm' }]).slice(0, 3));
+    expect(extractor.readTopicCatalogue(buffer, directory)).toEqual([]);
+  });
+
+  test('should load without a catalogue when one of its files can\'t be read', async () => {
+    const buffer = buildCHM([
+      ...buildTopicFiles([{ title: 'Widget Class', local: 'widget.htm' }]),
+      { path: '/widget.htm', data: '<h1>Widget Class</h1><p>Draws things</p>' }
+    ]);
+    const read = extractor.readDirectoryFile.bind(extractor);
+    jest.spyOn(extractor, 'readDirectoryFile').mockImplementation((buffer, directory, entry) => {
+      if (entry.path === '/#TOPICS') throw new Error('Corrupt LZX block');
+      return read(buffer, directory, entry);
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await extractor.loadFile({ name: 'api.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.topics).toEqual([]);
+    expect(extractor.jsonData.map(entry => entry.fullName)).toEqual(['Widget']);
+  });
+
+  describe('classesFromTopics', () => {
+    test('should take class names from topic titles and summaries from the topic', () => {
+      const { buffer, directory } = open([
+        ...buildTopicFiles([
+          { title: 'Widget Class', local: 'html/widget.htm' },
+          { title: 'Widget Class Members', local: 'html/widget_members.htm' },
+          { title: 'Class Gadget', local: 'html/gadget.htm' }
+        ]),
+        { path: '/html/widget.htm', data: '<h1>Widget Class</h1><p>Represents a <b>widget</b> on screen.</p>' }
+      ]);
+      const topics = extractor.readTopicCatalogue(buffer, directory);
+      const textEntries = [
+        { type: 'Class', name: 'Represents', description: 'a widget on screen.' },
+        { type: 'Class', name: 'Gadget', description: 'Holds widgets' }
+      ];
+
+      expect(extractor.classesFromTopics(buffer, directory, topics, textEntries)).toEqual([
+        { type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Represents a widget on screen.',
+          source: { path: '/html/widget.htm', offset: null, lines: null, rule: 'topic catalogue title' } },
+        { type: 'Class', name: 'Gadget', namespace: null, fullName: 'Gadget', description: 'Holds widgets',
+          source: { path: '/html/gadget.htm', offset: null, lines: null, rule: 'topic catalogue title' } },
+        { type: 'Class', name: 'Represents', namespace: null, fullName: 'Represents', description: 'a widget on screen.' }
+      ]);
+    });
+
+    test('should leave the source path empty for topics without a path', () => {
+      const topics = [{ index: 0, title: 'Widget Class', local: null, inContents: true }];
+
+      expect(extractor.classesFromTopics(null, { entries: [] }, topics, [])).toEqual([{
+        type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Widget class',
+        source: { path: null, offset: null, lines: null, rule: 'topic catalogue title' }
+      }]);
+    });
+
+    test('should keep free-text matches when no title names a class', () => {
+      const textEntries = [{ type: 'Class', name: 'Widget', description: 'Draws things' }];
+      expect(extractor.classesFromTopics(null, null, [{ title: 'Overview', local: 'a.htm' }], textEntries))
+        .toEqual([{ type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget', description: 'Draws things' }]);
+    });
+  });
+
+  test('should add the catalogue to the JSON document', async () => {
+    const buffer = buildCHM([
+      ...buildTopicFiles([{ title: 'Widget Class', local: 'widget.htm' }]),
+      { path: '/widget.htm', data: '<h1>Widget Class</h1>\n<p>Draws things</p>' }
+    ]);
+
+    await extractor.loadFile({ name: 'api.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    const document = extractor.buildJSONDocument();
+
+    expect(document.topics).toEqual([{ index: 0, title: 'Widget Class', local: 'widget.htm', inContents: true }]);
+    expect(document.entries).toEqual([{
+      type: 'Class', name: 'Widget', namespace: null, fullName: 'Widget',
+      description: 'Draws things',
+      baseType: null, derivedTypes: [], interfaces: [], members: [], examples: [],
+      source: { path: '/widget.htm', offset: null, lines: [1, 2], rule: 'topic title' },
+      confidence: { score: 0.9, reasons: ['found by topic title: 0.90'] }
+    }]);
+  });
+
+  test('should keep types found only in the page text alongside the catalogue titles', async () => {
+    const buffer = buildCHM([
+      ...buildTopicFiles([
+        { title: 'Connection Class', local: 'sql/connection.htm' },
+        { title: 'Gadget', local: 'gadget.htm' }
+      ]),
+      { path: '/sql/connection.htm', data: '<h1>Connection Class</h1><p>A SQL connection.</p><p>Namespace: Data.Sql</p>' },
+      { path: '/odbc/connection.htm', data: '<h1>Connection Class</h1><p>An ODBC connection.</p><p>Namespace: Data.Odbc</p>' },
+      { path: '/gadget.htm', data: '<h1>Gadget</h1><p>Holds widgets.</p><h2>Syntax</h2><pre>public class Gadget</pre>' }
+    ]);
+
+    await extractor.loadFile({ name: 'api.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(extractor.jsonData.map(entry => [entry.fullName, entry.source.rule])).toEqual([
+      ['Data.Sql.Connection', 'topic title'],
+      ['Data.Odbc.Connection', 'topic title'],
+      ['Gadget', 'Syntax declaration']
+    ]);
+  });
+});
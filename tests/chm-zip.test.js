@@ -0,0 +1,120 @@
+/**
+ * Tests for "Extract all": rebuilding the CHM's internal files as a ZIP
+ */
+
+const CHMJsonExtractor = require('./chmextractor.module.js');
+const { buildCHM, buildSystemFile } = require('./chm-fixtures.js');
+
+describe('Extract all', () => {
+  let extractor;
+
+  beforeEach(() => {
+    extractor = new CHMJsonExtractor();
+  });
+
+  // Read a ZIP back through its central directory
+  function readZip(zip) {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder();
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+    const files = {};
+    let pos = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+      expect(view.getUint32(pos, true)).toBe(0x02014B50);
+      const nameLength = view.getUint16(pos + 28, true);
+      const name = decoder.decode(zip.subarray(pos + 46, pos + 46 + nameLength));
+      const local = view.getUint32(pos + 42, true);
+      expect(view.getUint32(local, true)).toBe(0x04034B50);
+      const dataStart = local + 30 + view.getUint16(local + 26, true);
+      const data = zip.subarray(dataStart, dataStart + view.getUint32(pos + 20, true));
+      files[name] = { text: decoder.decode(data), crc: view.getUint32(pos + 16, true), data };
+      pos += 46 + nameLength;
+    }
+    return files;
+  }
+
+  test('should compute standard CRC-32 checksums', () => {
+    expect(extractor.crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    expect(extractor.crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('should list content files but not folders, storage or compiler files', () => {
+    const directory = {
+      entries: [
+        { path: '/' }, { path: '/html/' }, { path: '/html/a.htm' }, { path: '/#SYSTEM' },
+        { path: '/$FIftiMain' }, { path: '::DataSection/MSCompressed/Content' }, { path: '/api.hhc' }
+      ]
+    };
+    expect(extractor.listInternalFiles(directory).map(entry => entry.path)).toEqual(['/html/a.htm', '/api.hhc']);
+  });
+
+  test('should zip every internal file under its original folder', async () => {
+    const logo = new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x00, 0xFF]);
+    const buffer = buildCHM([
+      { path: '/#SYSTEM', data: buildSystemFile([[3, 'Widgets']]) },
+      { path: '/html/widget.htm', data: '<h1>Class Widget</h1>\nDraws things', compressed: true },
+      { path: '/css/help.css', data: 'body { color: black; }', compressed: true },
+      { path: '/images/logo.gif', data: logo },
+      { path: '/api.hhc', data: '<UL></UL>', compressed: true }
+    ]);
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    const link = { click: jest.fn() };
+    jest.spyOn(document, 'createElement').mockReturnValue(link);
+
+    extractor.downloadAllFiles();
+
+    expect(link.download).toBe('chm_files.zip');
+    expect(mockBlob.mock.calls[0][1]).toEqual({ type: 'application/zip' });
+    const files = readZip(mockBlob.mock.calls[0][0][0]);
+    expect(Object.keys(files).sort()).toEqual(['api.hhc', 'css/help.css', 'html/widget.htm', 'images/logo.gif']);
+    expect(files['html/widget.htm'].text).toBe('<h1>Class Widget</h1>\nDraws things');
+    expect(files['images/logo.gif'].data).toEqual(logo);
+    expect(files['css/help.css'].crc).toBe(extractor.crc32(files['css/help.css'].data));
+  });
+
+  test('should skip paths that climb out of the archive root', async () => {
+    const buffer = buildCHM([
+      { path: '/../evil.htm', data: 'A' },
+      { path: '/html/../../../etc/evil.htm', data: 'B' },
+      { path: '/C:/Windows/evil.htm', data: 'C' },
+      { path: '/html/./sub/../widget.htm', data: 'D' },
+      { path: '/html\\..\\..\\evil.htm', data: 'E' },
+      { path: '//images//logo.gif', data: 'F' }
+    ]);
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+    jest.spyOn(document, 'createElement').mockReturnValue({ click: jest.fn() });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    extractor.downloadAllFiles();
+
+    const files = readZip(mockBlob.mock.calls[0][0][0]);
+    expect(Object.keys(files).sort()).toEqual(['html/widget.htm', 'images/logo.gif']);
+    expect(files['html/widget.htm'].text).toBe('D');
+  });
+
+  test('should offer Extract all alongside the JSON and CSV downloads', async () => {
+    const buffer = buildCHM([{ path: '/widget.htm', data: '<h1>Class Widget</h1>\nDraws things' }]);
+
+    await extractor.loadFile({ name: 'widgets.chm', arrayBuffer: () => Promise.resolve(buffer) });
+
+    expect(document.getElementById('extractAllBtn').style.display).toBe('');
+    expect(document.getElementById('downloadBtn').style.display).not.toBe('none');
+    expect(document.getElementById('downloadCSVBtn').style.display).not.toBe('none');
+    expect(document.getElementById('downloadButtons').style.display).toBe('block');
+  });
+
+  test('should do nothing before a CHM is loaded', () => {
+    const mockBlob = jest.fn();
+    global.Blob = mockBlob;
+
+    extractor.downloadAllFiles();
+
+    expect(mockBlob).not.toHaveBeenCalled();
+  });
+});
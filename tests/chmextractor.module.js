@@ -3,10 +3,384 @@
  * This file exports the CHMJsonExtractor class without DOM initialization
  */
 
+/**
+ * Decompressor for the LZX stream in ::DataSection/MSCompressed.
+ * Follows the frame-at-a-time model used by chmlib: each 32 KB frame is
+ * decoded separately, with state carried over until the next reset point.
+ */
+class LZXDecoder {
+  constructor(windowBits) {
+    if (windowBits < 15 || windowBits > 21) {
+      throw new Error(`Unsupported LZX window size 2^${windowBits}`);
+    }
+
+    this.windowSize = 1 << windowBits;
+    this.window = new Uint8Array(this.windowSize);
+    // Position slots grow with the window; 21 bits needs the full 50
+    const positionSlots = windowBits === 21 ? 50 : windowBits === 20 ? 42 : windowBits * 2;
+    this.mainElements = 256 + (positionSlots << 3);
+
+    this.extraBits = [];
+    this.positionBase = [];
+    for (let i = 0, bits = 0, base = 0; i < 51; i++) {
+      this.extraBits[i] = bits;
+      this.positionBase[i] = base;
+      base += 1 << bits;
+      if (i % 2 === 1 && i !== 1 && bits < 17) bits++;
+    }
+
+    this.reset();
+  }
+
+  reset() {
+    this.R0 = 1;
+    this.R1 = 1;
+    this.R2 = 1;
+    this.mainLengths = new Uint8Array(this.mainElements);
+    this.lengthLengths = new Uint8Array(LZXDecoder.SECONDARY_LENGTHS);
+    this.headerRead = false;
+    this.blockType = 0;
+    this.blockLength = 0;
+    this.blockRemaining = 0;
+    this.windowPosition = 0;
+    this.framesRead = 0;
+    this.intelFileSize = 0;
+    this.intelCurrentPosition = 0;
+    this.intelStarted = false;
+  }
+
+  // Bitstream: 16-bit little-endian words, consumed most significant bit first
+  startBitstream(input, position) {
+    this.input = input;
+    this.inputPosition = position;
+    this.bitBuffer = 0;
+    this.bitsLeft = 0;
+  }
+
+  ensureBits(count) {
+    while (this.bitsLeft < count) {
+      const pos = this.inputPosition;
+      const lo = pos < this.input.length ? this.input[pos] : 0;
+      const hi = pos + 1 < this.input.length ? this.input[pos + 1] : 0;
+      this.bitBuffer = (this.bitBuffer | (((hi << 8) | lo) << (16 - this.bitsLeft))) >>> 0;
+      this.bitsLeft += 16;
+      this.inputPosition += 2;
+    }
+  }
+
+  readBits(count) {
+    if (count === 0) return 0;
+    this.ensureBits(count);
+    const value = this.bitBuffer >>> (32 - count);
+    this.removeBits(count);
+    return value;
+  }
+
+  removeBits(count) {
+    this.bitBuffer = count === 32 ? 0 : (this.bitBuffer << count) >>> 0;
+    this.bitsLeft -= count;
+  }
+
+  buildTable(lengths) {
+    // Canonical Huffman codes, looked up with a single index of maxLength bits
+    let maxLength = 0;
+    for (const length of lengths) maxLength = Math.max(maxLength, length);
+    const table = { maxLength, symbols: new Int16Array(1 << maxLength).fill(-1), lengths };
+    if (maxLength === 0) return table;
+
+    let code = 0;
+    for (let bits = 1; bits <= maxLength; bits++) {
+      for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol] !== bits) continue;
+        const shift = maxLength - bits;
+        const start = code << shift;
+        const end = (code + 1) << shift;
+        if (end > table.symbols.length) {
+          throw new Error('LZX Huffman table overflow');
+        }
+        table.symbols.fill(symbol, start, end);
+        code++;
+      }
+      code <<= 1;
+    }
+    return table;
+  }
+
+  readSymbol(table) {
+    if (table.maxLength === 0) {
+      throw new Error('LZX data references an empty Huffman table');
+    }
+    this.ensureBits(16);
+    const symbol = table.symbols[this.bitBuffer >>> (32 - table.maxLength)];
+    if (symbol < 0) {
+      throw new Error('Invalid LZX Huffman code');
+    }
+    this.removeBits(table.lengths[symbol]);
+    return symbol;
+  }
+
+  readLengths(lengths, first, last) {
+    // Code lengths are sent as deltas against the previous block, via a 20-symbol pretree
+    const preLengths = new Uint8Array(20);
+    for (let i = 0; i < 20; i++) preLengths[i] = this.readBits(4);
+    const pretree = this.buildTable(preLengths);
+
+    for (let x = first; x < last;) {
+      let code = this.readSymbol(pretree);
+      if (code === 17) {
+        let run = this.readBits(4) + 4;
+        while (run-- > 0 && x < last) lengths[x++] = 0;
+      } else if (code === 18) {
+        let run = this.readBits(5) + 20;
+        while (run-- > 0 && x < last) lengths[x++] = 0;
+      } else if (code === 19) {
+        let run = this.readBits(1) + 4;
+        code = this.readSymbol(pretree);
+        const value = (lengths[x] - code + 17) % 17;
+        while (run-- > 0 && x < last) lengths[x++] = value;
+      } else {
+        lengths[x] = (lengths[x] - code + 17) % 17;
+        x++;
+      }
+    }
+  }
+
+  readBlockHeader() {
+    if (this.blockType === LZXDecoder.UNCOMPRESSED) {
+      // Uncompressed blocks of odd length are padded to keep the stream word aligned
+      if (this.blockLength & 1) this.inputPosition++;
+      this.startBitstream(this.input, this.inputPosition);
+    }
+
+    this.blockType = this.readBits(3);
+    const high = this.readBits(16);
+    const low = this.readBits(8);
+    this.blockLength = this.blockRemaining = (high << 8) | low;
+
+    switch (this.blockType) {
+    case LZXDecoder.ALIGNED: {
+      const alignedLengths = new Uint8Array(8);
+      for (let i = 0; i < 8; i++) alignedLengths[i] = this.readBits(3);
+      this.alignedTable = this.buildTable(alignedLengths);
+    }
+    // falls through
+    case LZXDecoder.VERBATIM:
+      this.readLengths(this.mainLengths, 0, 256);
+      this.readLengths(this.mainLengths, 256, this.mainElements);
+      this.mainTable = this.buildTable(this.mainLengths);
+      if (this.mainLengths[0xE8] !== 0) this.intelStarted = true;
+      this.readLengths(this.lengthLengths, 0, LZXDecoder.SECONDARY_LENGTHS);
+      this.lengthTable = this.buildTable(this.lengthLengths);
+      break;
+    case LZXDecoder.UNCOMPRESSED: {
+      this.intelStarted = true;
+      // Skip the 1-16 padding bits, then read R0-R2 directly from the byte stream
+      this.ensureBits(16);
+      if (this.bitsLeft > 16) this.inputPosition -= 2;
+      this.bitsLeft = 0;
+      this.bitBuffer = 0;
+      const view = new DataView(this.input.buffer, this.input.byteOffset, this.input.byteLength);
+      if (this.inputPosition + 12 > this.input.length) {
+        throw new Error('Truncated LZX uncompressed block header');
+      }
+      this.R0 = view.getUint32(this.inputPosition, true);
+      this.R1 = view.getUint32(this.inputPosition + 4, true);
+      this.R2 = view.getUint32(this.inputPosition + 8, true);
+      this.inputPosition += 12;
+      break;
+    }
+    default:
+      throw new Error(`Invalid LZX block type ${this.blockType}`);
+    }
+  }
+
+  decodeMatchOffset(slot) {
+    if (slot === 0) return this.R0;
+    if (slot === 1) {
+      const offset = this.R1;
+      this.R1 = this.R0;
+      this.R0 = offset;
+      return offset;
+    }
+    if (slot === 2) {
+      const offset = this.R2;
+      this.R2 = this.R0;
+      this.R0 = offset;
+      return offset;
+    }
+
+    const extra = this.extraBits[slot];
+    let offset = this.positionBase[slot] - 2;
+    if (this.blockType === LZXDecoder.ALIGNED && extra >= 3) {
+      offset += this.readBits(extra - 3) << 3;
+      offset += this.readSymbol(this.alignedTable);
+    } else if (slot === 3) {
+      offset = 1;
+    } else {
+      offset += this.readBits(extra);
+    }
+    this.R2 = this.R1;
+    this.R1 = this.R0;
+    this.R0 = offset;
+    return offset;
+  }
+
+  decodeRun(run) {
+    const window = this.window;
+    const size = this.windowSize;
+
+    while (run > 0) {
+      const element = this.readSymbol(this.mainTable);
+      if (element < 256) {
+        window[this.windowPosition++] = element;
+        run--;
+        continue;
+      }
+
+      const header = element - 256;
+      let matchLength = header & 7;
+      if (matchLength === 7) matchLength += this.readSymbol(this.lengthTable);
+      matchLength += 2;
+      const matchOffset = this.decodeMatchOffset(header >> 3);
+
+      run -= matchLength;
+      if (this.windowPosition + matchLength > size) {
+        throw new Error('LZX match runs past the end of the window');
+      }
+      let source = this.windowPosition - matchOffset;
+      if (source < 0) source += size; // Match source wraps around the window
+      for (let i = 0; i < matchLength; i++) {
+        window[this.windowPosition++] = window[source];
+        source = (source + 1) & (size - 1);
+      }
+    }
+    return run;
+  }
+
+  /**
+   * Decompress one LZX frame. The decoder keeps its window and trees between
+   * calls, so frames must be fed in order starting from a reset point.
+   * @param {Uint8Array} input Compressed bytes of the frame
+   * @param {number} outputLength Uncompressed size of the frame
+   * @returns {Uint8Array}
+   */
+  decompress(input, outputLength) {
+    this.startBitstream(input, 0);
+
+    if (!this.headerRead) {
+      if (this.readBits(1)) {
+        const high = this.readBits(16);
+        const low = this.readBits(16);
+        this.intelFileSize = ((high << 16) | low) | 0;
+      }
+      this.headerRead = true;
+    }
+
+    let togo = outputLength;
+    while (togo > 0) {
+      if (this.blockRemaining === 0) {
+        this.readBlockHeader();
+      }
+
+      const run = Math.min(this.blockRemaining, togo);
+      togo -= run;
+      this.blockRemaining -= run;
+      this.windowPosition &= this.windowSize - 1;
+      if (this.windowPosition + run > this.windowSize) {
+        throw new Error('LZX run straddles the window boundary');
+      }
+
+      if (this.blockType === LZXDecoder.UNCOMPRESSED) {
+        if (this.inputPosition + run > input.length) {
+          throw new Error('Truncated LZX uncompressed block');
+        }
+        this.window.set(input.subarray(this.inputPosition, this.inputPosition + run), this.windowPosition);
+        this.inputPosition += run;
+        this.windowPosition += run;
+      } else {
+        if (this.decodeRun(run) < 0) {
+          throw new Error('LZX match crosses a frame boundary');
+        }
+      }
+    }
+
+    const end = this.windowPosition === 0 ? this.windowSize : this.windowPosition;
+    const output = this.window.slice(end - outputLength, end);
+    this.undoIntelTranslation(output);
+    return output;
+  }
+
+  undoIntelTranslation(output) {
+    if (this.framesRead++ >= 32768 || this.intelFileSize === 0) return;
+    if (output.length <= 6 || !this.intelStarted) {
+      this.intelCurrentPosition += output.length;
+      return;
+    }
+
+    let position = this.intelCurrentPosition;
+    this.intelCurrentPosition += output.length;
+    const view = new DataView(output.buffer, output.byteOffset, output.byteLength);
+    for (let i = 0; i < output.length - 10;) {
+      if (output[i++] !== 0xE8) {
+        position++;
+        continue;
+      }
+      const absolute = view.getInt32(i, true);
+      if (absolute >= -position && absolute < this.intelFileSize) {
+        const relative = absolute >= 0 ? absolute - position : absolute + this.intelFileSize;
+        view.setInt32(i, relative, true);
+      }
+      i += 4;
+      position += 5;
+    }
+  }
+}
+
+LZXDecoder.VERBATIM = 1;
+LZXDecoder.ALIGNED = 2;
+LZXDecoder.UNCOMPRESSED = 3;
+LZXDecoder.SECONDARY_LENGTHS = 249;
+
 class CHMJsonExtractor {
   constructor() {
     this.file = null;
+    this.buffer = null;
     this.jsonData = null;
+    this.directory = null;
+    this.pages = [];
+    this.metadata = null;
+    this.diagnostics = null;
+    this.toc = [];
+    this.index = [];
+    this.topics = [];
+    this.searchIndex = [];
+    // Codepage picked in the UI; null derives it from the CHM's LCID
+    this.codepageOverride = null;
+    this.encoding = 'windows-1252';
+    // Generator profile the entries were read with; the profile picked in the UI, if any, replaces detection
+    this.profile = null;
+    this.profileOverride = null;
+    // User-defined rules from the rules panel, and the raw-scan text they run over when there are no topics
+    this.rules = [];
+    this.rawText = '';
+    // Pending rules-editor update; typing restarts it so the preview runs once the user pauses
+    this.rulesTimer = null;
+    // Byte offset in the file of each line of the raw-scan text
+    this.scanOffsets = [];
+    // Fields that entries merged under one (namespace, kind, name) disagreed on
+    this.conflicts = [];
+    // Entries scoring under the threshold are left out of the preview and exports, unless kept from the review list
+    this.confidenceThreshold = 0;
+    this.acceptedEntries = new Set();
+    // Descriptions are plain text cut at descriptionLimit characters (null keeps them whole); Markdown mode adds descriptionMarkdown
+    this.descriptionFormat = 'text';
+    this.descriptionLimit = CHMJsonExtractor.DESCRIPTION_LIMIT;
+    // 'types' extracts API types; 'topics' converts every HTML topic to a page record
+    this.extractionMode = 'types';
+    // Preview and exports list entries under their namespace instead of one flat list
+    this.groupByNamespace = false;
+    // Kinds of entry the preview and exports include; the kind checkboxes change it
+    this.includedKinds = new Set(CHMJsonExtractor.TYPE_KINDS.map(kind => kind.type));
     // Only call initUI if we're in a browser environment
     if (typeof document !== 'undefined' && document.getElementById) {
       this.initUI();
@@ -41,175 +415,2591 @@ class CHMJsonExtractor {
       downloadBtn.addEventListener('click', () => this.downloadJSON());
       downloadCSVBtn.addEventListener('click', () => this.downloadCSV());
     }
+
+    const downloadTOCBtn = document.getElementById('downloadTOCBtn');
+    if (downloadTOCBtn) {
+      downloadTOCBtn.addEventListener('click', () => this.downloadTOC());
+    }
+    const downloadIndexBtn = document.getElementById('downloadIndexBtn');
+    if (downloadIndexBtn) {
+      downloadIndexBtn.addEventListener('click', () => this.downloadIndexJSON());
+    }
+    const downloadIndexCSVBtn = document.getElementById('downloadIndexCSVBtn');
+    if (downloadIndexCSVBtn) {
+      downloadIndexCSVBtn.addEventListener('click', () => this.downloadIndexCSV());
+    }
+    const downloadSearchBtn = document.getElementById('downloadSearchBtn');
+    if (downloadSearchBtn) {
+      downloadSearchBtn.addEventListener('click', () => this.downloadSearchIndex());
+    }
+    const downloadTypeGraphBtn = document.getElementById('downloadTypeGraphBtn');
+    if (downloadTypeGraphBtn) {
+      downloadTypeGraphBtn.addEventListener('click', () => this.downloadTypeGraph());
+    }
+    const downloadTypeGraphDOTBtn = document.getElementById('downloadTypeGraphDOTBtn');
+    if (downloadTypeGraphDOTBtn) {
+      downloadTypeGraphDOTBtn.addEventListener('click', () => this.downloadTypeGraphDOT());
+    }
+    const downloadExamplesBtn = document.getElementById('downloadExamplesBtn');
+    if (downloadExamplesBtn) {
+      downloadExamplesBtn.addEventListener('click', () => this.downloadExamples());
+    }
+    const extractAllBtn = document.getElementById('extractAllBtn');
+    if (extractAllBtn) {
+      extractAllBtn.addEventListener('click', () => this.downloadAllFiles());
+    }
+    const downloadDiagnosticsBtn = document.getElementById('downloadDiagnosticsBtn');
+    if (downloadDiagnosticsBtn) {
+      downloadDiagnosticsBtn.addEventListener('click', () => this.downloadDiagnostics());
+    }
+    const codepageSelect = document.getElementById('codepageSelect');
+    if (codepageSelect) {
+      codepageSelect.addEventListener('change', e => this.setCodepage(e.target.value));
+    }
+    const profileSelect = document.getElementById('profileSelect');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', e => this.setProfile(e.target.value));
+    }
+    const jsonPreview = document.getElementById('jsonPreview');
+    if (jsonPreview) {
+      jsonPreview.addEventListener('click', () => this.previewClicked());
+    }
+    const rulesEditor = document.getElementById('rulesEditor');
+    if (rulesEditor) {
+      rulesEditor.addEventListener('input', e => this.editRules(e.target.value));
+    }
+    const applyRulesBtn = document.getElementById('applyRulesBtn');
+    if (applyRulesBtn) {
+      applyRulesBtn.addEventListener('click', () => this.applyRules());
+    }
+    const rulesFileInput = document.getElementById('rulesFileInput');
+    const importRulesBtn = document.getElementById('importRulesBtn');
+    if (importRulesBtn && rulesFileInput) {
+      importRulesBtn.addEventListener('click', () => rulesFileInput.click());
+      rulesFileInput.addEventListener('change', e => {
+        if (e.target.files.length) this.importRules(e.target.files[0]);
+      });
+    }
+    const exportRulesBtn = document.getElementById('exportRulesBtn');
+    if (exportRulesBtn) {
+      exportRulesBtn.addEventListener('click', () => this.exportRules());
+    }
+    const extractionMode = document.getElementById('extractionMode');
+    if (extractionMode) {
+      extractionMode.addEventListener('change', e => this.setExtractionMode(e.target.value));
+    }
+    const descriptionFormat = document.getElementById('descriptionFormat');
+    if (descriptionFormat) {
+      descriptionFormat.addEventListener('change', e => this.setDescriptionFormat(e.target.value));
+    }
+    const limitDescriptions = document.getElementById('limitDescriptions');
+    if (limitDescriptions) {
+      limitDescriptions.addEventListener('change', e => this.setDescriptionLimit(e.target.checked));
+    }
+    const groupByNamespace = document.getElementById('groupByNamespace');
+    if (groupByNamespace) {
+      groupByNamespace.addEventListener('change', e => this.setGroupByNamespace(e.target.checked));
+    }
+    const confidenceThreshold = document.getElementById('confidenceThreshold');
+    if (confidenceThreshold) {
+      confidenceThreshold.addEventListener('input', e => this.setConfidenceThreshold(Number(e.target.value) / 100));
+    }
+    const kindOptions = document.querySelectorAll('.kind-option');
+    kindOptions.forEach(option => option.addEventListener('change', () => {
+      this.setIncludedKinds(Array.from(kindOptions).filter(box => box.checked).map(box => box.value));
+    }));
+  }
+
+  toggleButton(id, visible) {
+    const button = document.getElementById(id);
+    if (button) {
+      button.style.display = visible ? '' : 'none';
+    }
+  }
+
+  setCodepage(codepage) {
+    this.codepageOverride = codepage || null;
+    // Re-read the current file so every topic is decoded with the new codepage
+    if (this.file) return this.loadFile(this.file);
+  }
+
+  setProfile(id) {
+    this.profileOverride = this.profileById(id) ? id : null;
+    this.profile = this.profileById(this.profileOverride);
+    // Re-read the current file so every topic goes through the new profile
+    if (this.file) return this.loadFile(this.file);
+  }
+
+  profileById(id) {
+    return CHMJsonExtractor.PROFILES.find(profile => profile.id === id) || null;
+  }
+
+  currentProfile() {
+    // Nothing detected yet reads like a hand-written HTML Help Workshop project
+    return this.profile || this.profileById('htmlhelp');
+  }
+
+  detectProfile(pages, paths) {
+    // The generator whose markup (meta tags, generator comments) and file names turn up most often
+    if (this.profileOverride) return this.profileById(this.profileOverride);
+    let best = { profile: this.profileById('htmlhelp'), score: 0 };
+    CHMJsonExtractor.PROFILES.filter(profile => profile.markers).forEach(profile => {
+      const score = pages.filter(page => profile.markers.test(page.text)).length +
+        paths.filter(path => profile.files.test(path)).length;
+      if (score > best.score) best = { profile, score };
+    });
+    return best.profile;
+  }
+
+  setExtractionMode(mode) {
+    this.extractionMode = mode === 'topics' ? 'topics' : 'types';
+    if (this.file) return this.loadFile(this.file);
+  }
+
+  setDescriptionFormat(format) {
+    this.descriptionFormat = format === 'markdown' ? 'markdown' : 'text';
+    // Descriptions are read while loading, so the file is read again
+    if (this.file) return this.loadFile(this.file);
+  }
+
+  setDescriptionLimit(enabled) {
+    this.descriptionLimit = enabled ? CHMJsonExtractor.DESCRIPTION_LIMIT : null;
+    if (this.file) return this.loadFile(this.file);
+  }
+
+  limitDescription(text) {
+    return this.descriptionLimit ? text.substring(0, this.descriptionLimit) : text;
+  }
+
+  setRules(text) {
+    // Rules take effect as soon as they parse; the preview shows what they match in the loaded file, or why they don't parse
+    try {
+      this.rules = this.parseRules(text);
+    } catch (error) {
+      return this.showRulesPreview(`⚠️ ${error.message}`);
+    }
+    if (!this.file) return this.showRulesPreview(`${this.rules.length} rule(s). Load a CHM file to preview their matches.`);
+    const matches = this.entriesFromRules(this.pages, this.rawText);
+    this.showRulesPreview(`${matches.length} match(es)\n${JSON.stringify(matches.slice(0, 20), null, 2)}`);
+  }
+
+  editRules(text) {
+    // Previewing runs every rule over every topic, too slow to repeat on each keystroke
+    clearTimeout(this.rulesTimer);
+    this.rulesTimer = setTimeout(() => this.setRules(text), CHMJsonExtractor.RULES_PREVIEW_DELAY);
+  }
+
+  showRulesPreview(text) {
+    const preview = document.getElementById('rulesPreview');
+    if (preview) {
+      preview.textContent = text;
+    }
+  }
+
+  applyRules() {
+    // Re-read the current file so the rules' entries join the extracted ones
+    if (this.file) return this.loadFile(this.file);
+  }
+
+  async importRules(file) {
+    const text = await file.text();
+    const editor = document.getElementById('rulesEditor');
+    if (editor) editor.value = text;
+    this.setRules(text);
+  }
+
+  exportRules() {
+    this.saveFile(JSON.stringify({ rules: this.rules }, null, 2), 'application/json', 'chm_rules.json');
+  }
+
+  parseRules(text) {
+    // A rule set is { "rules": [...] } or a bare list; each rule reads one entry type with a CSS selector or a regex
+    let parsed;
+    try {
+      parsed = JSON.parse(text && text.trim() ? text : '[]');
+    } catch (error) {
+      throw new Error(`Rules are not valid JSON: ${error.message}`);
+    }
+    const rules = Array.isArray(parsed) ? parsed : parsed && parsed.rules;
+    if (!Array.isArray(rules)) throw new Error('A rule set needs a "rules" list');
+
+    return rules.map((rule, i) => {
+      const label = `Rule ${i + 1}${rule && rule.name ? ` (${rule.name})` : ''}`;
+      if (!rule || typeof rule.type !== 'string' || !rule.type.trim()) throw new Error(`${label} needs a "type"`);
+      if (Boolean(rule.selector) === Boolean(rule.pattern)) throw new Error(`${label} needs either a "selector" or a "pattern"`);
+      const fields = rule.fields || {};
+      if (fields.name === undefined || fields.name === null || fields.name === '') throw new Error(`${label} needs a "name" field`);
+
+      if (rule.selector) {
+        const selectors = [rule.selector, ...Object.values(fields).map(spec => this.fieldSpec(spec).selector).filter(Boolean)];
+        for (const selector of selectors) {
+          try {
+            document.createDocumentFragment().querySelector(selector);
+          } catch {
+            throw new Error(`${label} has an invalid selector: ${selector}`);
+          }
+        }
+      } else {
+        try {
+          new RegExp(rule.pattern, rule.flags || '');
+        } catch (error) {
+          throw new Error(`${label} has an invalid pattern: ${error.message}`);
+        }
+      }
+      return {
+        name: rule.name || rule.type.trim(),
+        type: rule.type.trim(),
+        selector: rule.selector || null,
+        pattern: rule.pattern || null,
+        flags: rule.flags || '',
+        fields
+      };
+    });
+  }
+
+  setGroupByNamespace(enabled) {
+    this.groupByNamespace = enabled;
+    if (this.jsonData) this.previewJSON(this.buildJSONDocument());
+  }
+
+  setIncludedKinds(kinds) {
+    this.includedKinds = new Set(kinds);
+    if (this.jsonData) this.previewJSON(this.buildJSONDocument());
+  }
+
+  setConfidenceThreshold(threshold) {
+    this.confidenceThreshold = threshold;
+    this.showReview();
+    if (this.jsonData) this.previewJSON(this.buildJSONDocument());
+  }
+
+  setEntryAccepted(entry, accepted) {
+    if (accepted) this.acceptedEntries.add(entry);
+    else this.acceptedEntries.delete(entry);
+    this.showReview();
+    if (this.jsonData) this.previewJSON(this.buildJSONDocument());
+  }
+
+  isLowConfidence(entry) {
+    return Boolean(entry.confidence) && entry.confidence.score < this.confidenceThreshold;
+  }
+
+  selectedEntries() {
+    // Types from user-defined rules have no checkbox and are always included; low-confidence entries only once kept
+    return (this.jsonData || []).filter(entry => (this.includedKinds.has(entry.type) ||
+      !CHMJsonExtractor.TYPE_KINDS.some(kind => kind.type === entry.type)) &&
+      (!this.isLowConfidence(entry) || this.acceptedEntries.has(entry)));
+  }
+
+  showReview() {
+    // The entries under the threshold, each with its score, the reasons for it and a box to keep it anyway
+    const panel = document.getElementById('reviewPanel');
+    const list = document.getElementById('reviewList');
+    const summary = document.getElementById('reviewSummary');
+    const value = document.getElementById('confidenceValue');
+    if (value) value.textContent = `${Math.round(this.confidenceThreshold * 100)}%`;
+    if (!panel || !list || !summary) return;
+
+    const low = (this.jsonData || []).filter(entry => this.isLowConfidence(entry));
+    const kept = low.filter(entry => this.acceptedEntries.has(entry)).length;
+    summary.textContent = `Low-confidence entries: ${low.length - kept} hidden, ${kept} kept`;
+    list.replaceChildren(...low.map(entry => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = this.acceptedEntries.has(entry);
+      box.addEventListener('change', () => this.setEntryAccepted(entry, box.checked));
+      const reasons = document.createElement('span');
+      reasons.className = 'review-reasons';
+      reasons.textContent = entry.confidence.reasons.join('; ');
+      label.append(box, ` ${entry.type} ${entry.fullName || entry.name} (${Math.round(entry.confidence.score * 100)}%) `);
+      item.append(label, reasons);
+      return item;
+    }));
+    panel.style.display = low.length > 0 ? 'block' : 'none';
+  }
+
+  showStatus(msg, type = '') {
+    const status = document.getElementById('status');
+    if (status) {
+      status.textContent = msg;
+      status.className = `status ${type}`;
+    }
+  }
+
+  async loadFile(file) {
+    if (!file.name.toLowerCase().endsWith('.chm')) {
+      return this.showStatus('Only .chm files are supported.', 'error');
+    }
+
+    this.file = file;
+    this.directory = null;
+    this.pages = [];
+    this.showStatus(`Reading ${file.name}...`);
+    const buffer = await file.arrayBuffer();
+    this.buffer = buffer;
+
+    // The full report goes to the diagnostics panel; validateCHM still makes the pass/fail decision from it
+    this.diagnostics = this.diagnoseCHM(buffer);
+    this.showDiagnostics(this.diagnostics);
+
+    const validation = this.validateCHM(buffer, this.diagnostics);
+    if (!validation) {
+      const failure = this.diagnostics.findings.find(finding => finding.severity === 'error');
+      return this.showStatus(failure
+        ? `Invalid CHM format: ${failure.message}.`
+        : 'Invalid CHM format (missing ITSF signature or corrupted header).', 'error');
+    }
+
+    this.showStatus(`Valid CHM file (version ${validation.version}). Extracting content...`);
+    
+    try {
+      const content = this.extractCHMContent(buffer, validation);
+      this.metadata = { ...this.readMetadata(buffer, this.directory), encoding: this.encoding };
+      this.topics = this.readTopicCatalogue(buffer, this.directory);
+      this.toc = this.readTableOfContents(buffer, this.directory, this.metadata);
+      this.rawText = content;
+      if (this.extractionMode === 'topics') {
+        // Every topic becomes a page record; the type extraction is skipped
+        this.jsonData = this.topicRecords(this.pages, this.toc, this.topics);
+        this.conflicts = [];
+      } else {
+        const namespaces = this.namespacesFromTOC(this.toc);
+        // Decoded topics are read as HTML documents; raw-scan text only has the text patterns to go on
+        const entries = this.pages.length > 0 ? this.classesFromPages(this.pages, namespaces)
+          : this.toStructuredJSON(content, { offsets: this.scanOffsets });
+        const merged = this.mergeEntries([
+          ...this.classesFromTopics(buffer, this.directory, this.topics, entries, namespaces),
+          ...this.entriesFromRules(this.pages, content)
+        ]);
+        merged.entries.forEach(entry => {
+          entry.confidence = this.scoreEntry(entry);
+        });
+        this.jsonData = merged.entries;
+        this.conflicts = merged.conflicts;
+      }
+      const types = this.extractionMode === 'topics' ? [] : this.jsonData;
+      this.acceptedEntries = new Set();
+      this.showReview();
+      this.index = this.linkIndexToEntries(this.readKeywordIndex(buffer, this.directory, this.metadata), types);
+      this.searchIndex = this.readFullTextIndex(buffer, this.directory, this.topics);
+      this.previewJSON(this.buildJSONDocument());
+      const fileCount = this.directory ? this.listInternalFiles(this.directory).length : 0;
+
+      // The TOC, keyword and search indexes and the internal files are useful on their own, even when no API definitions were found
+      this.toggleButton('downloadTOCBtn', this.toc.length > 0);
+      this.toggleButton('downloadIndexBtn', this.index.length > 0);
+      this.toggleButton('downloadIndexCSVBtn', this.index.length > 0);
+      this.toggleButton('downloadSearchBtn', this.searchIndex.length > 0);
+      const typeGraph = this.buildTypeGraph(types);
+      this.toggleButton('downloadTypeGraphBtn', Object.keys(typeGraph.adjacency).length > 0);
+      this.toggleButton('downloadTypeGraphDOTBtn', Object.keys(typeGraph.adjacency).length > 0);
+      this.toggleButton('downloadExamplesBtn', this.collectExamples(types).length > 0);
+      this.toggleButton('extractAllBtn', fileCount > 0);
+      const buttons = document.getElementById('downloadButtons');
+      if (buttons && (this.toc.length > 0 || this.index.length > 0 || this.searchIndex.length > 0 || fileCount > 0)) {
+        buttons.style.display = 'block';
+      }
+
+      if (this.jsonData && this.jsonData.length > 0) {
+        this.showStatus(this.extractionMode === 'topics'
+          ? `✅ Conversion successful! Converted ${this.jsonData.length} topics.`
+          : `✅ Extraction successful! Found ${this.jsonData.length} API definitions.`, 'success');
+        const downloadButtons = document.getElementById('downloadButtons');
+        if (downloadButtons) {
+          downloadButtons.style.display = 'block';
+        }
+      } else {
+        this.showStatus(this.extractionMode === 'topics'
+          ? '⚠️ No HTML topics found in this CHM file.'
+          : '⚠️ No API definitions found in this CHM file.', 'warning');
+      }
+    } catch (error) {
+      this.showStatus(`❌ Extraction failed: ${error.message}`, 'error');
+    }
+  }
+
+  validateCHM(buffer, report = this.diagnoseCHM(buffer)) {
+    return report.valid ? { version: report.version, headerSize: report.headerSize } : false;
   }
 
-  showStatus(msg, type = '') {
-    const status = document.getElementById('status');
-    if (status) {
-      status.textContent = msg;
-      status.className = `status ${type}`;
+  diagnoseCHM(buffer) {
+    // Errors stop extraction; warnings mean the directory can't be trusted and a raw text scan may be used
+    const findings = [];
+    const add = (severity, check, message) => findings.push({ severity, check, message });
+    const hex = value => `0x${value.toString(16).toUpperCase()}`;
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const signatureAt = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    let version = null;
+    let headerSize = null;
+    const finish = () => ({
+      valid: !findings.some(finding => finding.severity === 'error'),
+      version,
+      headerSize,
+      findings
+    });
+
+    if (buffer.byteLength < 96) {
+      add('error', 'header', `File is ${buffer.byteLength} bytes, too short for an ITSF header`);
+      return finish();
+    }
+
+    const signature = signatureAt(0);
+    if (signature !== 'ITSF') {
+      add('error', 'signature', `Expected ITSF signature, found "${signature.replace(/[^\x20-\x7E]/g, '.')}"`);
+      return finish();
+    }
+    add('info', 'signature', 'ITSF signature present');
+
+    version = view.getUint32(4, true);
+    if (version === 2 || version === 3) {
+      add('info', 'version', `ITSF version ${version}`);
+    } else {
+      add('warning', 'version', `Unknown ITSF version ${version}; reading it like version 3`);
+    }
+
+    // Version 2 headers stop before the content offset at 0x58
+    headerSize = view.getUint32(8, true);
+    const expectedHeaderSize = version === 2 ? 0x58 : 0x60;
+    if (headerSize < 0x58 || headerSize > buffer.byteLength) {
+      add('error', 'headerLength', `ITSF header length ${hex(headerSize)} is outside 0x58 and the file length`);
+      return finish();
+    }
+    if (headerSize !== expectedHeaderSize) {
+      add('warning', 'headerLength', `ITSF header length ${hex(headerSize)} differs from the ${hex(expectedHeaderSize)} of version ${version}`);
+    } else {
+      add('info', 'headerLength', `ITSF header length ${hex(headerSize)}`);
+    }
+
+    const lcid = view.getUint32(0x14, true);
+    if (!lcid || lcid > 0xFFFF) {
+      add('warning', 'lcid', `ITSF header LCID ${hex(lcid)} is not a language; text falls back to #SYSTEM or windows-1252`);
+    } else {
+      add('info', 'lcid', `ITSF header LCID ${hex(lcid)} (${this.encodingForLCID(lcid)})`);
+    }
+
+    CHMJsonExtractor.ITSF_GUIDS.forEach((expected, i) => {
+      const offset = 0x18 + i * 16;
+      const guid = this.formatGUID(bytes.subarray(offset, offset + 16));
+      if (guid !== expected) {
+        add('warning', 'guid', `GUID at ${hex(offset)} is ${guid}, expected ${expected}`);
+      } else {
+        add('info', 'guid', `GUID at ${hex(offset)} is ${guid}`);
+      }
+    });
+
+    // Header section table: section 0 records the file length, section 1 is the ITSP directory
+    const sectionOffset = Number(view.getBigUint64(0x38, true));
+    const sectionLength = Number(view.getBigUint64(0x40, true));
+    const dirOffset = Number(view.getBigUint64(0x48, true));
+    const dirLength = Number(view.getBigUint64(0x50, true));
+
+    if (sectionLength < 0x10 || sectionOffset + sectionLength > buffer.byteLength) {
+      add('warning', 'headerSections', `Header section 0 (${sectionLength} bytes at ${hex(sectionOffset)}) is missing or extends past end of file`);
+    } else {
+      const recordedLength = Number(view.getBigUint64(sectionOffset + 8, true));
+      if (recordedLength !== buffer.byteLength) {
+        add('warning', 'fileLength', `Header section 0 records a file length of ${recordedLength} bytes, but the file is ${buffer.byteLength} bytes${recordedLength > buffer.byteLength ? ' (truncated?)' : ''}`);
+      } else {
+        add('info', 'fileLength', `File length ${buffer.byteLength} bytes matches header section 0`);
+      }
+    }
+
+    if (headerSize >= 0x60) {
+      const contentOffset = Number(view.getBigUint64(0x58, true));
+      if (contentOffset > buffer.byteLength) {
+        add('warning', 'contentOffset', `Content section 0 offset ${hex(contentOffset)} points past end of file`);
+      }
+    }
+
+    if (dirOffset + Math.max(dirLength, 0x54) > buffer.byteLength) {
+      add('warning', 'directoryOffset', `Directory (${dirLength} bytes at ${hex(dirOffset)}) extends past end of file; falling back to a raw text scan`);
+      return finish();
+    }
+    add('info', 'directoryOffset', `Directory: ${dirLength} bytes at ${hex(dirOffset)}`);
+
+    if (signatureAt(dirOffset) !== 'ITSP') {
+      add('warning', 'itspSignature', `No ITSP directory header at ${hex(dirOffset)}; falling back to a raw text scan`);
+      return finish();
+    }
+
+    const itspVersion = view.getUint32(dirOffset + 4, true);
+    if (itspVersion !== 1) {
+      add('warning', 'itspVersion', `Unknown ITSP version ${itspVersion}`);
+    } else {
+      add('info', 'itspVersion', 'ITSP version 1');
+    }
+
+    const itspHeaderLength = view.getUint32(dirOffset + 8, true);
+    const chunkSize = view.getUint32(dirOffset + 0x10, true);
+    const chunkCount = view.getUint32(dirOffset + 0x2C, true);
+    if (chunkSize < 0x20 || (chunkSize & (chunkSize - 1)) !== 0) {
+      add('warning', 'chunkSize', `Directory chunk size ${chunkSize} is not a power of two of at least 32 bytes`);
+    } else {
+      add('info', 'chunkSize', `Directory chunk size ${chunkSize}`);
+    }
+    if (dirOffset + itspHeaderLength + chunkCount * chunkSize > buffer.byteLength) {
+      add('warning', 'directoryChunks', `${chunkCount} directory chunks of ${chunkSize} bytes extend past end of file`);
+    } else if (itspHeaderLength + chunkCount * chunkSize !== dirLength) {
+      add('warning', 'directoryChunks', `${chunkCount} directory chunks of ${chunkSize} bytes do not fill the ${dirLength}-byte directory`);
+    } else {
+      add('info', 'directoryChunks', `${chunkCount} directory chunk(s)`);
+    }
+
+    return finish();
+  }
+
+  formatGUID(bytes) {
+    // Windows GUID layout: three little-endian fields, then eight bytes in order
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const hexOf = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+    const tail = Array.from(bytes.subarray(8, 16), byte => hexOf(byte, 2)).join('');
+    return `{${hexOf(view.getUint32(0, true), 8)}-${hexOf(view.getUint16(4, true), 4)}-` +
+      `${hexOf(view.getUint16(6, true), 4)}-${tail.slice(0, 4)}-${tail.slice(4)}}`;
+  }
+
+  showDiagnostics(report) {
+    const panel = document.getElementById('diagnostics');
+    const list = document.getElementById('diagnosticsList');
+    const summary = document.getElementById('diagnosticsSummary');
+    if (!panel || !list || !summary) return;
+
+    const count = severity => report.findings.filter(finding => finding.severity === severity).length;
+    summary.textContent = `File diagnostics: ${count('error')} error(s), ${count('warning')} warning(s)`;
+    list.replaceChildren(...report.findings.map(finding => {
+      const item = document.createElement('li');
+      item.className = `diagnostic-${finding.severity}`;
+      item.textContent = `[${finding.severity}] ${finding.message}`;
+      return item;
+    }));
+    panel.open = !report.valid;
+    panel.style.display = 'block';
+  }
+
+  readMetadata(buffer, directory) {
+    const metadata = {
+      title: null,
+      defaultTopic: null,
+      compiledFile: null,
+      contentsFile: null,
+      indexFile: null,
+      lcid: directory ? directory.lcid : null,
+      defaultFont: null,
+      compilerVersion: null,
+      timestamp: null
+    };
+    if (!directory) return metadata;
+
+    const entry = this.findDirectoryEntry(directory, '/#SYSTEM');
+    if (!entry) return metadata;
+
+    try {
+      return Object.assign(metadata, this.parseSystemFile(this.readDirectoryFile(buffer, directory, entry)));
+    } catch (error) {
+      console.warn('Could not parse #SYSTEM:', error);
+      return metadata;
+    }
+  }
+
+  parseSystemFile(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const metadata = {};
+    const text = (offset, length) => this.readCString(data.subarray(offset, offset + length));
+
+    // DWORD version, then { WORD code, WORD length, BYTE data[length] } records
+    let pos = 4;
+    while (pos + 4 <= data.length) {
+      const code = view.getUint16(pos, true);
+      const length = view.getUint16(pos + 2, true);
+      const start = pos + 4;
+      if (start + length > data.length) break;
+
+      switch (code) {
+      case 0: metadata.contentsFile = text(start, length); break;
+      case 1: metadata.indexFile = text(start, length); break;
+      case 2: metadata.defaultTopic = text(start, length); break;
+      case 3: metadata.title = text(start, length); break;
+      case 4:
+        if (length >= 4) metadata.lcid = view.getUint32(start, true);
+        if (length >= 28 && !metadata.timestamp) {
+          // FILETIME: 100ns ticks since 1601-01-01
+          const ticks = view.getBigUint64(start + 20, true);
+          if (ticks > 0n) metadata.timestamp = this.toISODate(Number(ticks / 10000n) - 11644473600000);
+        }
+        break;
+      case 6: metadata.compiledFile = text(start, length); break;
+      case 9: metadata.compilerVersion = text(start, length); break;
+      case 10:
+        if (length >= 4 && view.getUint32(start, true) > 0) {
+          metadata.timestamp = this.toISODate(view.getUint32(start, true) * 1000);
+        }
+        break;
+      case 16: metadata.defaultFont = text(start, length); break;
+      }
+      pos = start + length;
+    }
+
+    return metadata;
+  }
+
+  readCString(bytes) {
+    const end = bytes.indexOf(0);
+    const text = this.decodeText(end === -1 ? bytes : bytes.subarray(0, end));
+    return text || null;
+  }
+
+  detectEncoding(buffer, directory) {
+    if (this.codepageOverride) return this.codepageOverride;
+    // #SYSTEM records the help author's LCID; the ITSF header only has the compiling machine's
+    if (directory) return this.encodingForLCID(this.readMetadata(buffer, directory).lcid);
+    return this.encodingForLCID(buffer.byteLength >= 0x18 ? new DataView(buffer).getUint32(0x14, true) : null);
+  }
+
+  encodingForLCID(lcid) {
+    if (!lcid) return 'windows-1252';
+    return CHMJsonExtractor.LCID_CODEPAGES[lcid] ||
+      CHMJsonExtractor.LANGUAGE_CODEPAGES[lcid & 0x3FF] ||
+      'windows-1252';
+  }
+
+  decodeText(bytes) {
+    return this.decoderFor(bytes).decode(bytes);
+  }
+
+  decoderFor(bytes) {
+    // A byte order mark beats the LCID: some compilers store Unicode topics whatever the locale
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      return new TextDecoder('utf-8');
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+      return new TextDecoder('utf-16le');
+    }
+    return new TextDecoder(this.encoding);
+  }
+
+  toISODate(milliseconds) {
+    const date = new Date(milliseconds);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  readTopicCatalogue(buffer, directory) {
+    if (!directory) return [];
+
+    const entries = {};
+    for (const name of ['#TOPICS', '#STRINGS', '#URLTBL', '#URLSTR']) {
+      entries[name] = this.findDirectoryEntry(directory, `/${name}`);
+      if (!entries[name]) return [];
+    }
+
+    try {
+      const files = {};
+      Object.keys(entries).forEach(name => {
+        files[name] = this.readDirectoryFile(buffer, directory, entries[name]);
+      });
+      return this.parseTopicCatalogue(files);
+    } catch (error) {
+      console.warn('Could not decode topic catalogue:', error);
+      return [];
+    }
+  }
+
+  parseTopicCatalogue(files) {
+    const viewOf = bytes => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const topicsView = viewOf(files['#TOPICS']);
+    const urlTableView = viewOf(files['#URLTBL']);
+    const urlStrings = files['#URLSTR'];
+    const strings = files['#STRINGS'];
+    const topics = [];
+
+    // #TOPICS: 16-byte records of { #TOCIDX offset, #STRINGS title offset, #URLTBL offset, flags, unknown }
+    for (let pos = 0; pos + 16 <= topicsView.byteLength; pos += 16) {
+      const titleOffset = topicsView.getInt32(pos + 4, true);
+      const urlTableOffset = topicsView.getUint32(pos + 8, true);
+      const flags = topicsView.getUint16(pos + 12, true);
+
+      const title = titleOffset >= 0 && titleOffset < strings.length
+        ? this.readCString(strings.subarray(titleOffset))
+        : null;
+
+      // #URLTBL: 12-byte records of { hash, topic index, #URLSTR offset }
+      // #URLSTR: { URL offset, frame name offset, null-terminated local path }
+      let local = null;
+      if (urlTableOffset + 12 <= urlTableView.byteLength) {
+        const urlStringOffset = urlTableView.getUint32(urlTableOffset + 8, true);
+        if (urlStringOffset + 8 < urlStrings.length) {
+          local = this.readCString(urlStrings.subarray(urlStringOffset + 8));
+        }
+      }
+
+      topics.push({ index: pos / 16, title, local, inContents: (flags & 4) !== 0 });
+    }
+
+    return topics;
+  }
+
+  classesFromTopics(buffer, directory, topics, textEntries, namespaces = new Map()) {
+    // Topic titles such as "Widget Class" or "Color Enumeration" are authoritative; free-text matches fill in descriptions
+    const entries = [];
+    const seen = new Set();
+    const used = new Set();
+
+    for (const topic of topics) {
+      const match = topic.title && this.typeFromTitle(topic.title.trim());
+      if (!match) continue;
+      const titled = this.qualifyName(match.name);
+      const namespace = titled.namespace || namespaces.get(this.topicKey(topic.local)) || null;
+      // A page's entry is the one read from this topic; raw-scan text has no topic, so its names have to do
+      const textEntry = textEntries.find(entry => entry.name === titled.name && (entry.source && entry.source.path
+        ? this.topicKey(entry.source.path) === this.topicKey(topic.local)
+        : !namespace || !entry.namespace || entry.namespace === namespace));
+      const qualified = this.qualifyName(titled.name, namespace || (textEntry && textEntry.namespace) || null);
+      if (textEntry) used.add(textEntry);
+      if (seen.has(qualified.fullName)) continue;
+      seen.add(qualified.fullName);
+
+      const described = this.describeTopic(buffer, directory, topic.local);
+      const description = described ? described.text
+        : (textEntry ? textEntry.description : `${qualified.name} ${match.type.toLowerCase()}`);
+      const entry = { type: match.type, ...qualified, description: this.limitDescription(description) };
+      if (this.descriptionFormat === 'markdown') {
+        entry.descriptionMarkdown = described ? described.markdown : (textEntry && textEntry.descriptionMarkdown) || description;
+      }
+      if (textEntry) {
+        // Hierarchy and members read from the topic document carry over
+        Object.keys(textEntry).filter(key => !(key in entry)).forEach(key => {
+          entry[key] = textEntry[key];
+        });
+      }
+      if (!entry.source) {
+        // An out-of-range #URLTBL or #URLSTR offset leaves the topic without a path
+        const path = topic.local ? `/${topic.local.replace(/^\/+/, '')}` : null;
+        entry.source = { path, offset: null, lines: null, rule: 'topic catalogue title' };
+      }
+      entries.push(entry);
+    }
+
+    // Types whose topics have no catalogue title (or a title in another form) are still found in the page text
+    return [...entries, ...textEntries.filter(entry => !used.has(entry)).map(entry => this.qualifyEntry(entry))];
+  }
+
+  qualifyEntry(entry) {
+    if (entry.fullName !== undefined) return entry;
+    const { type, name, ...rest } = entry;
+    return { type, ...this.qualifyName(name), ...rest };
+  }
+
+  qualifyName(name, namespace = null) {
+    // "Widgets.Drawing.Widget" and "Widgets::Widget" carry their namespace; dots in generic arguments don't count
+    const plain = name.replace(/[<(].*$/, '');
+    const qualified = plain.match(/^(.+)(\.|::)([^.:]+)$/);
+    const shortName = qualified ? qualified[3] + name.slice(plain.length) : name;
+    const owner = qualified ? qualified[1] : namespace;
+    if (!owner) return { name: shortName, namespace: null, fullName: shortName };
+    const separator = qualified ? qualified[2] : (owner.includes('::') ? '::' : '.');
+    return { name: shortName, namespace: owner, fullName: `${owner}${separator}${shortName}` };
+  }
+
+  namespaceFromDocument(doc) {
+    // Sandcastle and NDoc print "Namespace: Widgets.Drawing" under the title; Javadoc puts the package in div.subTitle
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    const texts = [];
+    let node;
+    while ((node = walker.nextNode())) texts.push(node.textContent);
+    const line = texts.join(' ').replace(/\s+/g, ' ')
+      .match(/\b(?:Namespace|Package|Module)\s*:\s*([A-Za-z_]\w*(?:(?:\.|::)[A-Za-z_]\w*)*)/);
+    if (line) return line[1];
+
+    const subTitle = doc.querySelector('.subTitle');
+    const packageName = subTitle && subTitle.textContent.replace(/\s+/g, ' ').trim()
+      .match(/^(?:Package\s+)?([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*)$/);
+    return packageName ? packageName[1] : null;
+  }
+
+  namespacesFromTOC(toc) {
+    // Topics filed under a "Widgets.Drawing Namespace" or "com.example Package" node belong to it
+    const namespaces = new Map();
+    const visit = (nodes, namespace) => nodes.forEach(node => {
+      const match = (node.name || '').trim().match(CHMJsonExtractor.NAMESPACE_TITLE_PATTERN);
+      const current = match ? match[1] || match[2] : namespace;
+      if (node.local && current) namespaces.set(this.topicKey(node.local), current);
+      visit(node.children || [], current);
+    });
+    visit(toc || [], null);
+    return namespaces;
+  }
+
+  topicKey(path) {
+    return (path || '').replace(/^\/+/, '').split('#')[0].toLowerCase();
+  }
+
+  describeTopic(buffer, directory, local) {
+    if (!local) return null;
+    const entry = this.findDirectoryEntry(directory, `/${local.replace(/^\/+/, '').split('#')[0]}`);
+    if (!entry) return null;
+
+    try {
+      // The first paragraph of a class topic is its summary, as plain text and (in Markdown mode) Markdown
+      const html = this.decodeText(this.readDirectoryFile(buffer, directory, entry));
+      const doc = this.parseHTML(html);
+      if (doc) {
+        const summary = this.summaryBlock(doc, this.titleHeading(doc));
+        if (!summary.text) return null;
+        const markdown = this.descriptionFormat === 'markdown' && summary.block ? this.toMarkdown(summary.block, local) : summary.text;
+        return { text: summary.text, markdown };
+      }
+      const paragraph = html.match(/<p\b[^>]*>([\s\S]*?)<\/p>/i);
+      if (!paragraph) return null;
+      const text = this.decodeEntities(paragraph[1].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+      return text ? { text, markdown: text } : null;
+    } catch (error) {
+      console.warn(`Could not read topic ${local}:`, error);
+      return null;
+    }
+  }
+
+  classesFromPages(pages, namespaces = new Map()) {
+    const entries = [];
+    // Members found outside the class topic: "Widget Members" listings and "Widget.Draw Method" topics
+    const otherMembers = [];
+    const addMembers = (className, doc, path, members) => {
+      const namespace = this.namespaceFromDocument(doc) || namespaces.get(this.topicKey(path)) || null;
+      otherMembers.push({ owner: this.qualifyName(className, namespace), members });
+    };
+
+    // The profile's listing and member pages never hold a type's own topic, but still contribute members
+    const skipped = this.currentProfile().skipTopics;
+    for (const page of pages) {
+      const doc = this.parseHTML(page.text);
+      if (!doc) {
+        if (this.containsRelevantText(page.text)) entries.push(...this.toStructuredJSON(page.text, { path: page.path }));
+        continue;
+      }
+
+      const entry = !(skipped && skipped.test(page.path)) && this.classFromDocument(doc, page.path);
+      if (entry) {
+        entry.source.lines = this.entryLines(page.text, doc, entry);
+        if (!entry.namespace) Object.assign(entry, this.qualifyName(entry.name, namespaces.get(this.topicKey(page.path)) || null));
+        entries.push(entry);
+        continue;
+      }
+      const listing = this.documentTitles(doc).map(title => title.match(CHMJsonExtractor.MEMBERS_TITLE_PATTERN)).find(Boolean);
+      if (listing) {
+        addMembers(listing[1], doc, page.path, this.membersFromDocument(doc, page.path));
+        continue;
+      }
+      const member = this.memberFromTopic(doc, page.path);
+      if (member) addMembers(member.className, doc, page.path, [member.member]);
+    }
+
+    // Members go to the class of that name, unless both sides name different namespaces
+    entries.forEach(entry => {
+      const found = otherMembers.filter(({ owner }) => owner.name === entry.name &&
+        (!owner.namespace || !entry.namespace || owner.namespace === entry.namespace));
+      if (entry.members && found.length) {
+        entry.members = this.mergeMembers(entry.members, [].concat(...found.map(({ members }) => members)));
+      }
+    });
+
+    // A type is derived from its base even when the base's own topic doesn't list it
+    const index = this.indexTypes(entries);
+    entries.forEach(entry => {
+      if (!entry.baseType) return;
+      this.findTypes(index, entry.baseType).filter(base => base.derivedTypes).forEach(base => {
+        if (!base.derivedTypes.some(derived => this.sameType(derived, entry))) base.derivedTypes.push(entry.fullName);
+      });
+    });
+    return entries;
+  }
+
+  topicRecords(pages, toc, topics = []) {
+    // Every topic with its title, outline position in the TOC ("2.1") and body; TOC order first, then the rest as stored
+    const positions = this.tocPositions(toc);
+    // The first catalogue topic for each path, looked up once per page
+    const catalogue = new Map();
+    (topics || []).forEach(topic => {
+      const key = this.topicKey(topic.local);
+      if (!catalogue.has(key)) catalogue.set(key, topic);
+    });
+    const records = pages.map(page => {
+      const key = this.topicKey(page.path);
+      const listed = positions.get(key);
+      const catalogued = catalogue.get(key);
+      const doc = this.parseHTML(page.text);
+      const heading = doc && this.titleHeading(doc);
+      const title = [doc && doc.title, heading && heading.textContent, listed && listed.name, catalogued && catalogued.title]
+        .map(text => (text || '').replace(/\s+/g, ' ').trim()).find(Boolean) || null;
+      const record = {
+        path: page.path,
+        title,
+        tocPosition: listed ? listed.position : null,
+        body: doc ? this.toPlainText(doc.body) : page.text.replace(/\s+/g, ' ').trim()
+      };
+      if (this.descriptionFormat === 'markdown') {
+        record.bodyMarkdown = doc ? this.toMarkdown(doc.body, page.path) : record.body;
+      }
+      return { record, order: listed ? listed.order : Infinity };
+    });
+    return records.sort((a, b) => a.order - b.order).map(({ record }) => record);
+  }
+
+  tocPositions(toc) {
+    // The first place each topic appears in the TOC, numbered like an outline
+    const positions = new Map();
+    const visit = (nodes, prefix) => nodes.forEach((node, i) => {
+      const position = `${prefix}${i + 1}`;
+      const key = node.local && this.topicKey(node.local);
+      if (key && !positions.has(key)) positions.set(key, { position, name: node.name, order: positions.size });
+      visit(node.children || [], `${position}.`);
+    });
+    visit(toc || [], '');
+    return positions;
+  }
+
+  entriesFromRules(pages, content, rules = this.rules) {
+    // User-defined rules run over every topic (or the raw-scan text): selectors on its document, patterns on its text
+    if (!rules.length) return [];
+    const entries = [];
+    const sources = pages.length > 0 ? pages : [{ path: null, text: content || '' }];
+
+    for (const page of sources) {
+      const doc = this.parseHTML(page.text);
+      const text = doc ? doc.body.textContent : page.text;
+      rules.forEach(rule => {
+        const records = rule.selector
+          ? (doc ? Array.from(doc.querySelectorAll(rule.selector), element => this.fieldsFromElement(element, rule.fields, page.path)) : [])
+          : Array.from(text.matchAll(new RegExp(rule.pattern, `${rule.flags.replace('g', '')}g`)),
+            match => this.fieldsFromMatch(match, rule.fields));
+        records.filter(fields => fields.name).forEach(fields => {
+          const lines = this.sourceLines(page.text, fields.name);
+          // Without topics the text is the raw scan, whose lines map to byte offsets
+          const offset = !page.path && lines && this.scanOffsets.length >= lines[0] ? this.scanOffsets[lines[0] - 1] : null;
+          entries.push(this.entryFromRule(rule, fields, { path: page.path, offset, lines, rule: `rule "${rule.name}"` }));
+        });
+      });
+    }
+    return entries;
+  }
+
+  fieldSpec(spec) {
+    // "selector" reads the text of an element inside the match, "selector@attr" its attribute; an empty selector is the match itself
+    const [, selector, attribute] = String(spec).match(/^(.*?)(?:@([\w:-]+))?$/);
+    return { selector: selector.trim() || null, attribute: attribute || null };
+  }
+
+  fieldsFromElement(element, fields, path = '') {
+    const values = {};
+    Object.entries(fields).forEach(([field, spec]) => {
+      const { selector, attribute } = this.fieldSpec(spec);
+      const target = selector ? element.querySelector(selector) : element;
+      const value = target && (attribute ? target.getAttribute(attribute) : target.textContent);
+      values[field] = value ? value.replace(/\s+/g, ' ').trim() || null : null;
+      if (field === 'description' && target && !attribute && this.descriptionFormat === 'markdown') {
+        values.descriptionMarkdown = this.toMarkdown(target, path) || null;
+      }
+    });
+    return values;
+  }
+
+  fieldsFromMatch(match, fields) {
+    // Fields name a capture group by number or by name
+    const values = {};
+    Object.entries(fields).forEach(([field, group]) => {
+      const value = /^\d+$/.test(String(group)) ? match[Number(group)] : (match.groups || {})[group];
+      values[field] = value ? value.replace(/\s+/g, ' ').trim() || null : null;
+    });
+    return values;
+  }
+
+  entryFromRule(rule, fields, source = null) {
+    // "name", "namespace" and "description" fill the usual entry fields; any other field is copied as it is
+    const { name, namespace, description, descriptionMarkdown, ...extra } = fields;
+    const text = description || `${name} ${rule.type.toLowerCase()}`;
+    return {
+      type: rule.type,
+      ...this.qualifyName(name, namespace || null),
+      description: text,
+      ...(this.descriptionFormat === 'markdown' ? { descriptionMarkdown: descriptionMarkdown || text } : {}),
+      ...extra,
+      source
+    };
+  }
+
+  mergeEntries(entries) {
+    // One entry per (namespace, kind, name): a class can turn up in its own topic, the catalogue, the raw scan and a rule
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = JSON.stringify([entry.namespace || null, entry.type, entry.name]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+
+    const conflicts = [];
+    const merged = Array.from(groups.values()).map(group => {
+      if (group.length === 1) return group[0];
+      // The best description leads, and its entry's fields win; the others fill in what it lacks
+      const ranked = group.slice().sort((a, b) => this.descriptionRank(b) - this.descriptionRank(a) ||
+        (b.description || '').length - (a.description || '').length);
+      const { source, ...entry } = { ...ranked[0] };
+      ranked.slice(1).forEach(other => Object.keys(other).forEach(field => {
+        if (['source', 'description', 'descriptionMarkdown'].includes(field)) return;
+        entry[field] = this.mergeField(entry, other, field, ranked, conflicts);
+      }));
+      return { ...entry, source, sources: group.map(other => other.source || null) };
+    });
+    return { entries: merged, conflicts };
+  }
+
+  descriptionRank(entry) {
+    // Placeholders such as "Widget class" lose to anything; a topic's own summary or a user rule beats a text pattern
+    const text = entry.description || '';
+    if (!text || text === `${entry.name} ${entry.type.toLowerCase()}`) return 0;
+    const rule = entry.source ? entry.source.rule : '';
+    return CHMJsonExtractor.DOCUMENT_RULES.includes(rule) || /^rule "/.test(rule) ? 2 : 1;
+  }
+
+  mergeField(entry, other, field, group, conflicts) {
+    const empty = value => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    const value = entry[field];
+    if (empty(other[field])) return value;
+    if (empty(value)) return other[field];
+    if (field === 'members') return this.mergeMembers(value, other[field]);
+    if (['derivedTypes', 'interfaces', 'examples'].includes(field)) {
+      const seen = new Set(value.map(item => JSON.stringify(item)));
+      return [...value, ...other[field].filter(item => !seen.has(JSON.stringify(item)))];
+    }
+
+    // Two different answers for one field: keep the leading entry's and report both
+    if (JSON.stringify(value) !== JSON.stringify(other[field])) {
+      let conflict = conflicts.find(found => found.fullName === entry.fullName && found.type === entry.type && found.field === field);
+      if (!conflict) {
+        const first = group.find(candidate => JSON.stringify(candidate[field]) === JSON.stringify(value));
+        conflict = { type: entry.type, fullName: entry.fullName, field, values: [{ value, source: first.source || null }] };
+        conflicts.push(conflict);
+      }
+      if (!conflict.values.some(known => JSON.stringify(known.value) === JSON.stringify(other[field]))) {
+        conflict.values.push({ value: other[field], source: other.source || null });
+      }
+    }
+    return value;
+  }
+
+  scoreEntry(entry) {
+    // How likely the entry is a real type: the rule that found it, how much of its text is letters, what its topic
+    // showed of its structure, and how many places it was found in. Each reason carries its effect on the score
+    const reasons = [];
+    const add = (effect, reason) => {
+      reasons.push(`${reason}: ${effect < 0 ? '-' : '+'}${Math.abs(effect).toFixed(2)}`);
+      return effect;
+    };
+    const rule = entry.source ? entry.source.rule : null;
+    const base = rule && CHMJsonExtractor.RULE_CONFIDENCE.find(([pattern]) => pattern.test(rule));
+    let score = base ? base[1] : 0.3;
+    reasons.push(`${rule ? `found by ${rule}` : 'no recorded rule'}: ${score.toFixed(2)}`);
+
+    // Garbled raw-scan text is low in letters; a topic's own document is real text whatever its script
+    const fromDocument = CHMJsonExtractor.DOCUMENT_RULES.includes(rule) || /^rule "/.test(rule || '');
+    const ratio = this.alphabeticRatio(`${entry.name}${entry.description || ''}`.replace(/\s+/g, ''));
+    if (!fromDocument && ratio < 0.6) {
+      score += add(-Math.round((0.6 - ratio) * 100) / 100, `text is ${Math.round(ratio * 100)}% letters`);
+    }
+    if (/^[a-z]+$/.test(entry.name)) score += add(-0.2, 'name is a lowercase word');
+    if (this.descriptionRank(entry) === 0) score += add(-0.1, 'no description');
+
+    const evidence = [
+      [entry.namespace, 'namespace known'],
+      [entry.baseType || (entry.interfaces && entry.interfaces.length), 'inheritance given'],
+      [entry.members && entry.members.length, 'lists members'],
+      [entry.values && entry.values.length, 'lists values'],
+      [entry.syntax && entry.syntax.length, 'declares its syntax'],
+      [entry.examples && entry.examples.length, 'has examples']
+    ].filter(([present]) => present);
+    evidence.slice(0, 3).forEach(([, reason]) => {
+      score += add(0.05, reason);
+    });
+    const places = entry.sources ? entry.sources.length : 1;
+    if (places > 1) score += add(Math.min(places - 1, 2) * 0.05, `found in ${places} places`);
+
+    return { score: Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100, reasons };
+  }
+
+  entryLines(text, doc, entry) {
+    // From the title heading (or the first mention of the name) in the body to the last word of the description
+    const heading = this.titleHeading(doc);
+    const title = heading && heading.textContent.replace(/\s+/g, ' ').trim();
+    const body = Math.max(text.search(/<body\b/i), 0);
+    const first = title && text.includes(title, body) ? title : entry.name;
+    return this.sourceLines(text, first, entry.description.split(' ').pop(), body);
+  }
+
+  sourceLines(text, first, last = null, from = 0) {
+    // 1-based lines of the first occurrence of `first` (from `from` on) and of `last` after it; null when `first` isn't there as written
+    const start = first ? text.indexOf(first, from) : -1;
+    if (start < 0) return null;
+    const end = last ? text.indexOf(last, start + first.length) : -1;
+    const lineAt = index => text.slice(0, index).split('\n').length;
+    return [lineAt(start), lineAt(end >= 0 ? end + last.length : start + first.length)];
+  }
+
+  parseHTML(html) {
+    if (typeof DOMParser === 'undefined') return null;
+    try {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      // Plain text has no structure to read; leave it to the text patterns
+      if (!doc.title.trim() && !doc.body.querySelector('*')) return null;
+      doc.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+      return doc;
+    } catch (error) {
+      console.warn('Could not parse topic HTML:', error);
+      return null;
+    }
+  }
+
+  titleHeading(doc) {
+    // Javadoc titles the page with h2.title and Doxygen with div.title rather than an <h1>
+    return doc.querySelector('h1') || doc.querySelector('.title');
+  }
+
+  documentTitles(doc) {
+    const heading = this.titleHeading(doc);
+    return [heading ? heading.textContent : '', doc.title]
+      .map(title => title.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  classFromDocument(doc, path = '') {
+    // A class topic is titled "Widget Class" (or "Class Widget"), or titled with a name its Syntax section declares
+    const heading = this.titleHeading(doc);
+    const titles = this.documentTitles(doc);
+    const syntax = this.findSection(doc, 'Syntax');
+    const declaration = syntax && syntax.match(/\b(class|interface|struct|structure|enum|coclass|module)\s+([A-Za-z_]\w*)/i);
+
+    let found = titles.map(title => this.typeFromTitle(title)).find(Boolean);
+    let rule = 'topic title';
+    if (!found && declaration && titles.some(title => title.split(/[\s(<]/)[0] === declaration[2])) {
+      found = { type: this.kindOf(declaration[1]), name: declaration[2] };
+      rule = 'Syntax declaration';
+    }
+    if (!found) return null;
+
+    const { type } = found;
+    const qualified = this.qualifyName(found.name, this.namespaceFromDocument(doc));
+    const summary = this.summaryBlock(doc, heading);
+    const remarks = this.findSection(doc, 'Remarks');
+    const description = summary.text || remarks || `${qualified.name} ${type.toLowerCase()}`;
+    const entry = { type, ...qualified, description: this.limitDescription(description) };
+    if (this.descriptionFormat === 'markdown') {
+      // The summary block, else the Remarks section, with lists, code spans and links kept
+      const remarksRange = !summary.text && remarks && this.sectionRange(doc, ['remarks']);
+      const source = summary.text ? summary.block : remarksRange && remarksRange.cloneContents();
+      entry.descriptionMarkdown = source ? this.toMarkdown(source, path) : description;
+    }
+
+    // Enumerations list their values; delegates and global functions have a signature; other kinds have members
+    if (type === 'Enum') {
+      entry.values = this.enumValuesFromDocument(doc, qualified.name);
+    } else if (type === 'Delegate' || type === 'Function') {
+      Object.assign(entry, this.memberDetails(doc, doc.body, qualified.name) ||
+        { syntax: [], parameters: [], returns: null, exceptions: [], examples: [] });
+    } else {
+      Object.assign(entry, this.inheritanceFromDocument(doc, qualified), {
+        members: this.mergeMembers(this.membersFromDocument(doc, path), [])
+      });
+    }
+    // Code documented in place for members (Doxygen's memitem, Javadoc's details) belongs to those members
+    if (!entry.examples) entry.examples = this.examplesFromDocument(doc, doc.body, [], '.memitem, .details');
+    // Where the entry came from; classesFromPages adds the lines from the topic's source
+    entry.source = { path: path || null, offset: null, lines: null, rule };
+    return entry;
+  }
+
+  typeFromTitle(title) {
+    const match = title.match(CHMJsonExtractor.TYPE_TITLE_PATTERN);
+    return match ? { type: this.kindOf(match[2] || match[3]), name: match[1] || match[4] } : null;
+  }
+
+  kindOf(word) {
+    const kind = CHMJsonExtractor.TYPE_KINDS.find(({ words }) => words.includes(word.toLowerCase()));
+    return kind ? kind.type : 'Class';
+  }
+
+  enumValuesFromDocument(doc, name) {
+    // Sandcastle and NDoc tabulate an enumeration's members by name, value and description; Doxygen's
+    // fieldtable and Javadoc's Enum Constant Summary have no value column
+    const textOf = node => node.textContent.replace(/\s+/g, ' ').trim();
+    for (const table of Array.from(doc.querySelectorAll('table'))) {
+      const rows = Array.from(table.rows);
+      const header = rows.find(row => row.querySelector('th'));
+      if (!header) continue;
+      const labels = Array.from(header.cells).map(cell => textOf(cell).toLowerCase());
+      const nameColumn = labels.findIndex(label =>
+        /^(?:member(?: name)?|name|enumerator|enum constant(?: and description)?|constant)$/.test(label));
+      if (nameColumn === -1) continue;
+      const valueColumn = labels.indexOf('value');
+
+      const values = rows.slice(rows.indexOf(header) + 1).filter(row => row.cells.length > nameColumn).map(row => {
+        const cells = Array.from(row.cells);
+        const nameCell = cells[nameColumn];
+        // Javadoc puts the description under the constant's name in the same cell
+        const label = nameCell.querySelector('code, a, strong, b');
+        const valueName = textOf(label || nameCell);
+        const rest = [textOf(nameCell).slice(textOf(nameCell).indexOf(valueName) + valueName.length).trim(),
+          ...cells.filter((cell, i) => i !== nameColumn && i !== valueColumn).map(textOf)].filter(Boolean);
+        return {
+          name: valueName,
+          value: valueColumn === -1 || !cells[valueColumn] ? null : this.parseEnumValue(textOf(cells[valueColumn])),
+          description: rest.join(' ') || null
+        };
+      }).filter(value => value.name);
+      if (values.length) return values;
+    }
+
+    // Otherwise the declaration's body: "enum Color { Red = 1, Green }"
+    const body = this.readSignatures(doc, doc.body, name)
+      .map(entry => entry.signature.match(/\{([^}]*)\}/)).find(Boolean);
+    if (!body) return [];
+    return this.splitParameters(body[1]).map(item => {
+      const [valueName, value] = item.split('=').map(part => part.trim());
+      return { name: valueName, value: value === undefined ? null : this.parseEnumValue(value), description: null };
+    }).filter(value => /^[A-Za-z_]\w*$/.test(value.name));
+  }
+
+  parseEnumValue(text) {
+    if (/^-?\d+$/.test(text)) return Number(text);
+    if (/^0x[0-9a-f]+$/i.test(text)) return parseInt(text, 16);
+    return text || null;
+  }
+
+  inheritanceFromDocument(doc, self) {
+    // Sandcastle's Inheritance Hierarchy (or Javadoc's ul.inheritance) lists the ancestors above the type
+    // and its derived types below it
+    let baseType = null;
+    let derivedTypes = [];
+    const hierarchy = this.sectionRange(doc, ['inheritance hierarchy', 'hierarchy']);
+    const lines = hierarchy
+      ? this.sectionLines(hierarchy.cloneContents())
+      : Array.from(doc.querySelectorAll('ul.inheritance li'))
+        .filter(item => !item.querySelector('ul'))
+        .map(item => item.textContent.replace(/\s+/g, ' ').trim());
+    const typeLines = lines.filter(line => line && !/^More\b/i.test(line));
+    const at = typeLines.findIndex(line => this.sameType(line, self));
+    if (at !== -1) {
+      baseType = typeLines[at - 1] || null;
+      derivedTypes = typeLines.slice(at + 1);
+    }
+
+    // Labelled lists: Javadoc's <dt>All Implemented Interfaces:</dt>, Doxygen's "Inherits ..." paragraphs,
+    // or an Implements section
+    const labelled = this.typeLists(doc);
+    const declared = this.readSignatures(doc, doc.body, self.name)
+      .map(entry => this.parseTypeDeclaration(entry.signature, self.name)).find(Boolean);
+
+    const inherits = labelled.inherits || [];
+    const interfaces = labelled.interfaces || inherits.filter(name => CHMJsonExtractor.INTERFACE_NAME.test(this.qualifyName(name).name));
+    return {
+      baseType: baseType || inherits.find(name => !interfaces.includes(name)) || (declared ? declared.baseType : null),
+      derivedTypes: derivedTypes.length ? derivedTypes : labelled.derived || [],
+      interfaces: interfaces.length ? interfaces : (declared ? declared.interfaces : [])
+    };
+  }
+
+  sectionLines(fragment) {
+    // Each <br> or block element starts a line
+    fragment.querySelectorAll('br').forEach(lineBreak => lineBreak.replaceWith('\n'));
+    fragment.querySelectorAll('div, p, li, tr, dt, dd, pre').forEach(block => block.append('\n'));
+    return fragment.textContent.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  typeLists(doc) {
+    const lists = {};
+    // Lists put one type per line or separate them with commas ("Control, and IDrawable.")
+    const namesIn = (element, prefix = '') => [].concat(...this.sectionLines(element.cloneNode(true))
+      .map((line, i) => this.splitParameters(i === 0 ? line.slice(prefix.length) : line)))
+      .map(name => name.replace(/^and\s+/, '').replace(/\.$/, '').trim())
+      .filter(Boolean);
+    const add = (label, names) => {
+      const list = CHMJsonExtractor.TYPE_LIST_LABELS.find(([pattern]) => pattern.test(label));
+      if (list && names.length && !lists[list[1]]) lists[list[1]] = names;
+    };
+
+    doc.querySelectorAll('dt').forEach(term => {
+      const label = term.textContent.replace(/\s+/g, ' ').replace(/:\s*$/, '').trim();
+      const values = [];
+      for (let item = term.nextElementSibling; item && item.tagName === 'DD'; item = item.nextElementSibling) {
+        values.push(...namesIn(item));
+      }
+      add(label, values);
+    });
+    doc.querySelectorAll('p').forEach(paragraph => {
+      const text = paragraph.textContent.replace(/\s+/g, ' ').trim();
+      const label = text.match(/^(Inherits|Inherited by|Implements|Implemented by)\s/i);
+      if (label) add(label[1], namesIn(paragraph, label[0]));
+    });
+    for (const title of ['implements', 'implemented interfaces']) {
+      const range = this.sectionRange(doc, [title]);
+      if (range) add(title, namesIn(range.cloneContents()));
+    }
+    return lists;
+  }
+
+  parseTypeDeclaration(signature, name) {
+    // "class Widget : Control, IDisposable", "Class Widget Inherits Control Implements IDisposable",
+    // "class Widget extends Control implements Serializable"
+    const escaped = name.replace(/[<(].*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const start = signature.match(new RegExp(`\\b(class|interface|struct|structure|coclass|module)\\s+(?:[\\w.]+\\.)?${escaped}\\b(?:\\s*<[^>]*>|\\s*\\(Of[^)]*\\))?`, 'i'));
+    if (!start) return null;
+    if (/^coclass$/i.test(start[1])) {
+      // IDL: "coclass Widget { [default] interface IWidget; dispinterface _WidgetEvents; }"
+      const interfaces = Array.from(signature.matchAll(/\b(?:dispinterface|interface)\s+([A-Za-z_]\w*)\s*;/g), match => match[1]);
+      return { baseType: null, interfaces };
+    }
+    const rest = signature.slice(start.index + start[0].length).split(/[{;]|\bwhere\b/)[0];
+    const isInterface = /^interface$/i.test(start[1]);
+    const listed = text => this.splitParameters(text || '')
+      .map(type => type.replace(/^(?:public|protected|private|virtual)\s+/g, '').trim()).filter(Boolean);
+
+    const basic = rest.match(/\bInherits\s+(.+?)(?=\s+Implements\b|$)/);
+    const implemented = rest.match(/\b(?:Implements|implements)\s+(.+)$/);
+    const extended = rest.match(/\bextends\s+(.+?)(?=\s+implements\b|$)/);
+    if (basic || implemented || extended) {
+      const bases = listed((basic || extended || [])[1]);
+      return isInterface
+        ? { baseType: null, interfaces: [...bases, ...listed(implemented && implemented[1])] }
+        : { baseType: bases[0] || null, interfaces: listed(implemented && implemented[1]) };
+    }
+
+    const colon = rest.match(/^\s*:\s*(.+)$/);
+    const bases = colon ? listed(colon[1]) : [];
+    if (isInterface) return { baseType: null, interfaces: bases };
+    // C# lists the base class first; names such as IDisposable are interfaces
+    const baseType = bases.find(type => !CHMJsonExtractor.INTERFACE_NAME.test(this.qualifyName(type).name)) || null;
+    return { baseType, interfaces: bases.filter(type => type !== baseType) };
+  }
+
+  indexTypes(entries) {
+    // Entries by their short name, so a type name is looked up instead of compared with every entry
+    const index = new Map();
+    entries.forEach(entry => {
+      const named = index.get(entry.name);
+      if (named) named.push(entry);
+      else index.set(entry.name, [entry]);
+    });
+    return index;
+  }
+
+  findTypes(index, typeName) {
+    // The entries sameType would accept, in their original order
+    const other = this.qualifyName(typeName);
+    return (index.get(other.name) || []).filter(entry =>
+      !other.namespace || !entry.namespace || other.namespace === entry.namespace);
+  }
+
+  sameType(typeName, entry) {
+    const other = this.qualifyName(typeName);
+    return other.name === entry.name && (!other.namespace || !entry.namespace || other.namespace === entry.namespace);
+  }
+
+  membersFromDocument(doc, path) {
+    // Member tables are labelled by a caption, a heading row (Doxygen, Javadoc) or the section heading before them
+    const members = [];
+    const headings = Array.from(doc.querySelectorAll(CHMJsonExtractor.SECTION_HEADINGS));
+    const textOf = element => element.textContent.replace(/\s+/g, ' ').trim();
+
+    doc.querySelectorAll('table').forEach(table => {
+      const before = headings.filter(heading => !table.contains(heading) &&
+        (heading.compareDocumentPosition(table) & Node.DOCUMENT_POSITION_FOLLOWING));
+      let kind = (table.caption && this.memberKind(textOf(table.caption))) ||
+        (before.length ? this.memberKind(textOf(before[before.length - 1])) : null);
+      let last = null;
+
+      for (const row of Array.from(table.rows)) {
+        // Doxygen puts each summary in a row of its own under the declaration
+        if (/\bmemdesc/.test(row.className)) {
+          if (last) last.summary = this.textWithoutCode(row);
+          continue;
+        }
+        const link = row.querySelector('a[href]');
+        if (!link || row.querySelector(CHMJsonExtractor.SECTION_HEADINGS)) {
+          // A heading row starts a new group of members; other rows without links are column headers
+          const label = this.memberKind(textOf(row));
+          if (label && row.querySelector(`th, ${CHMJsonExtractor.SECTION_HEADINGS}`)) kind = label;
+          continue;
+        }
+        if (!kind) continue;
+
+        // Summary: the cells after the name, or the name cell's prose (Javadoc puts it after a <br>)
+        const cell = link.closest('td, th') || row;
+        const cells = Array.from(row.cells);
+        const after = cells.slice(cells.indexOf(cell) + 1).map(textOf).filter(Boolean).join(' ');
+        let rowKind = kind;
+        if (kind === 'member') {
+          const icon = row.querySelector('img');
+          const iconName = icon ? `${icon.getAttribute('alt') || ''} ${(icon.getAttribute('src') || '')
+            .replace(/^.*\//, '').replace(/^(pub|prot|priv|int)/i, '').replace(/\.\w+$/, '')}` : '';
+          rowKind = this.memberKind(iconName) || 'member';
+        }
+
+        last = {
+          kind: rowKind,
+          name: textOf(link),
+          summary: after || this.textWithoutCode(cell),
+          link: this.resolveTopicLink(path, link.getAttribute('href'))
+        };
+        Object.assign(last, this.detailsInPage(doc, path, last));
+        members.push(last);
+      }
+    });
+
+    return members;
+  }
+
+  memberFromTopic(doc, path) {
+    // Member topics are titled "Widget.Draw Method", "Widget.Draw Method (Int32)" or "Widget Constructor"
+    for (const title of this.documentTitles(doc)) {
+      const member = title.match(/^([A-Za-z_][\w.]*)\.([A-Za-z_~][\w]*)\s+(Method|Property|Event|Field|Operator)\b/i);
+      const constructor = title.match(/^([A-Za-z_][\w.]*)\s+Constructor\b/i);
+      if (!member && !constructor) continue;
+
+      const className = member ? member[1] : constructor[1];
+      const name = member ? member[2] : this.qualifyName(className).name;
+      return {
+        className,
+        member: {
+          kind: member ? member[3].toLowerCase() : 'constructor',
+          name,
+          summary: this.summarizeDocument(doc, this.titleHeading(doc)),
+          link: this.resolveTopicLink(path, ''),
+          ...this.memberDetails(doc, doc.body, name)
+        }
+      };
+    }
+    return null;
+  }
+
+  detailsInPage(doc, path, member) {
+    // Doxygen and Javadoc document members on the class page, under an anchor the member table links to
+    const [file, fragment] = member.link.split('#');
+    if (!fragment || file !== this.resolveTopicLink(path, '')) return null;
+    const id = this.decodeURIPart(fragment);
+    const target = doc.getElementById(id) || doc.getElementsByName(id)[0];
+    if (!target) return null;
+    if (target.children.length) return this.memberDetails(doc, target, member.name);
+
+    // An empty <a name> marks where the member starts; it runs until the next member's anchor
+    const anchor = 'a[name]:not([href]), a[id]:not([href])';
+    const region = doc.createElement('div');
+    for (let node = target.nextSibling; node; node = node.nextSibling) {
+      if (node.nodeType === Node.ELEMENT_NODE && (node.matches(anchor) || node.querySelector(anchor))) break;
+      region.appendChild(node.cloneNode(true));
+    }
+    return this.memberDetails(doc, region, member.name);
+  }
+
+  memberDetails(doc, root, name) {
+    // Syntax, parameters, return value, exceptions and examples; null when the topic documents none of them
+    const syntax = this.readSignatures(doc, root, name);
+    const groups = this.detailGroups(doc, root);
+    const examples = this.examplesFromDocument(doc, root, syntax);
+    if (!syntax.length && !Object.keys(groups).length && !examples.length) return null;
+
+    // Types the topic doesn't state are read from the declarations
+    const declared = syntax.map(entry => this.parseSignature(entry.signature));
+    const declaredType = parameterName => declared
+      .map(declaration => declaration.parameters.find(parameter => parameter.name === parameterName))
+      .find(parameter => parameter && parameter.type);
+
+    const parameters = groups.parameters
+      ? groups.parameters.map(item => {
+        const parameterName = item.term ? item.term.replace(/^\[[\w,\s]*\]\s*/, '') : null;
+        const typed = this.splitType(item.description);
+        const declaration = declaredType(parameterName);
+        return {
+          name: parameterName,
+          type: typed.type || (declaration ? declaration.type : null),
+          description: typed.description
+        };
+      })
+      : (declared.find(declaration => declaration.parameters.length) || { parameters: [] }).parameters
+        .map(parameter => ({ ...parameter, description: null }));
+
+    const returned = this.splitType((groups.returns || [])
+      .map(item => [item.term, item.description].filter(Boolean).join(' ')).join(' '));
+    const returnType = returned.type || declared.map(declaration => declaration.returns).find(Boolean) || null;
+
+    return {
+      syntax,
+      parameters,
+      returns: returnType || returned.description ? { type: returnType, description: returned.description } : null,
+      exceptions: (groups.exceptions || []).map(item => ({ type: item.term, description: item.description })),
+      examples
+    };
+  }
+
+  examplesFromDocument(doc, root, signatures = [], skip = null) {
+    // Every code block outside the Syntax section: <pre> and Doxygen's div.fragment, in Example sections or in the prose
+    const syntaxRange = this.sectionRange(doc, ['syntax'], root);
+    const declared = new Set(signatures.map(entry => entry.signature));
+    const blocks = Array.from(root.querySelectorAll('pre, div.fragment'))
+      .filter(block => !block.parentElement.closest('pre, div.fragment'))
+      .filter(block => !(skip && block.closest(skip)))
+      .filter(block => !(syntaxRange && syntaxRange.intersectsNode(block)));
+
+    return blocks.map(block => {
+      // Whitespace is kept exactly as written; Doxygen puts each line in a div.line of its own
+      const lines = block.matches('div.fragment') ? block.querySelectorAll('.line') : [];
+      const code = lines.length ? Array.from(lines, line => line.textContent).join('\n') : block.textContent;
+      return { language: this.codeLanguage(block, code), code };
+    }).filter(example => example.code.trim() &&
+      !declared.has(example.code.replace(/\s+/g, ' ').trim().replace(/\(\s+/g, '(').replace(/\s+([),])/g, '$1')) &&
+      !CHMJsonExtractor.DECLARATION_PATTERN.test(example.code));
+  }
+
+  codeLanguage(block, code) {
+    // Sandcastle's language tab for this block, its codeLanguage attribute, a "lang-cs" class, or a label before it
+    const container = block.closest('.codeSnippetContainer');
+    const codeDiv = block.closest('.codeSnippetContainerCode');
+    if (container && codeDiv) {
+      const tab = container.querySelectorAll('.codeSnippetContainerTab')[
+        Array.from(container.querySelectorAll('.codeSnippetContainerCode')).indexOf(codeDiv)];
+      if (tab && this.syntaxLanguage(tab.textContent)) return this.syntaxLanguage(tab.textContent);
+    }
+    const tagged = block.closest('[codeLanguage]');
+    if (tagged && this.syntaxLanguage(tagged.getAttribute('codeLanguage'))) return this.syntaxLanguage(tagged.getAttribute('codeLanguage'));
+
+    const inner = block.querySelector('code');
+    const tokens = [block, inner].filter(Boolean)
+      .map(element => `${element.getAttribute('class') || ''} ${element.getAttribute('lang') || ''} ${element.getAttribute('language') || ''}`)
+      .join(' ').split(/\s+/).map(token => token.replace(/^(?:lang(?:uage)?|brush|code|highlight-source)[-:]?/i, ''));
+    const classLanguage = tokens.map(token => this.syntaxLanguage(token)).find(Boolean);
+    if (classLanguage) return classLanguage;
+
+    const label = [block.previousElementSibling, block.parentElement && block.parentElement.previousElementSibling]
+      .find(element => element && element.textContent.length < 40 && this.syntaxLanguage(element.textContent.replace(/:\s*$/, '')));
+    return label ? this.syntaxLanguage(label.textContent.replace(/:\s*$/, '')) : this.detectCodeLanguage(code);
+  }
+
+  detectCodeLanguage(code) {
+    // Last resort: constructs only one of the languages uses
+    if (/^\s*(?:Dim|Imports|(?:(?:Public|Private|Protected|Friend|Shared)\s+)*(?:Sub|Function)\s+\w+|End\s+(?:Sub|Function|Class|If|Module|Property))\b/m.test(code) ||
+      /\bAs\s+New\b/.test(code)) return 'Visual Basic';
+    if (/#include\b|\bstd::|\bgcnew\b|->|\bnullptr\b/.test(code)) return 'C++';
+    if (/\bfunction\s*\w*\s*\(|\bvar\s+\w+\s*:\s*\w|^\s*import\s+[\w.]+\s*;/m.test(code)) return 'JScript';
+    if (/;/.test(code) && /\busing\s+[\w.]+\s*;|\b(?:public|private|protected|static)\s+[\w<>[\]]+\s+\w+\s*\(|\bnew\s+\w+(?:<[^>]*>)?\s*[({]|\bforeach\s*\(|\bvar\s+\w+\s*=/.test(code)) return 'C#';
+    return null;
+  }
+
+  readSignatures(doc, root, name) {
+    const range = this.sectionRange(doc, ['syntax'], root);
+    const signatureOf = element => element.textContent.replace(/\s+/g, ' ').trim()
+      .replace(/\(\s+/g, '(').replace(/\s+([),])/g, '$1');
+
+    if (!range) {
+      // NDoc's div.syntax, Doxygen's memproto or Javadoc's <pre>, as long as it declares the member
+      const examples = this.sectionRange(doc, ['example', 'examples'], root);
+      const block = Array.from(root.querySelectorAll('.syntax, .memproto, pre'))
+        .find(element => !(examples && examples.intersectsNode(element)));
+      const signature = block ? signatureOf(block) : '';
+      return signature.includes(name) ? [{ language: null, signature }] : [];
+    }
+
+    const section = range.cloneContents();
+    // Sandcastle's VS2010 style lists the language tabs first, then the code blocks in the same order
+    const tabs = Array.from(section.querySelectorAll('.codeSnippetContainerTab'));
+    const codes = Array.from(section.querySelectorAll('.codeSnippetContainerCode'));
+    if (tabs.length && tabs.length === codes.length) {
+      return codes.map((code, i) => ({ language: this.syntaxLanguage(tabs[i].textContent), signature: signatureOf(code) }))
+        .filter(entry => entry.signature);
+    }
+
+    // Otherwise each <pre> follows its language label, or sits inside a Sandcastle codeLanguage block
+    const signatures = [];
+    let label = null;
+    for (const element of Array.from(section.querySelectorAll('*'))) {
+      if (element.tagName === 'PRE') {
+        const block = element.closest('[codeLanguage]');
+        const language = (block && this.syntaxLanguage(block.getAttribute('codeLanguage'))) || label;
+        signatures.push({ language, signature: signatureOf(element) });
+      } else if (!element.closest('pre') && !element.children.length) {
+        label = this.syntaxLanguage(element.textContent) || label;
+      }
+    }
+    if (!signatures.length && range.toString().trim()) {
+      signatures.push({ language: null, signature: signatureOf(section) });
+    }
+    return signatures.filter(entry => entry.signature);
+  }
+
+  syntaxLanguage(label) {
+    const text = (label || '').replace(/\s+/g, ' ').trim();
+    const language = CHMJsonExtractor.SYNTAX_LANGUAGES.find(([pattern]) => pattern.test(text));
+    return language ? language[1] : null;
+  }
+
+  detailGroups(doc, root) {
+    // Each group is a section under its own heading (Sandcastle, NDoc) or a labelled <dt> (Javadoc, Doxygen)
+    const groups = {};
+    for (const [group, titles] of Object.entries(CHMJsonExtractor.DETAIL_SECTIONS)) {
+      const range = this.sectionRange(doc, titles, root);
+      if (range) groups[group] = this.detailItems(range.cloneContents());
+    }
+    root.querySelectorAll('dt').forEach(term => {
+      const label = term.textContent.replace(/\s+/g, ' ').replace(/:\s*$/, '').trim().toLowerCase();
+      const group = Object.keys(CHMJsonExtractor.DETAIL_SECTIONS)
+        .find(key => CHMJsonExtractor.DETAIL_SECTIONS[key].includes(label));
+      if (!group || groups[group]) return;
+
+      groups[group] = [];
+      for (let item = term.nextElementSibling; item && item.tagName === 'DD'; item = item.nextElementSibling) {
+        groups[group].push(...this.detailItems(item));
+      }
+    });
+    return groups;
+  }
+
+  detailItems(container) {
+    // Items are dt/dd pairs, table rows, "name - description" entries (Javadoc) or bare prose
+    const textOf = node => {
+      const copy = node.cloneNode(true);
+      copy.querySelectorAll('br').forEach(lineBreak => lineBreak.replaceWith(' '));
+      return copy.textContent.replace(/\s+/g, ' ').trim() || null;
+    };
+    const terms = Array.from(container.querySelectorAll('dt'));
+    if (terms.length) {
+      return terms.map(term => {
+        const description = term.nextElementSibling;
+        return { term: textOf(term), description: description && description.tagName === 'DD' ? textOf(description) : null };
+      });
+    }
+
+    const rows = Array.from(container.querySelectorAll('tr')).filter(row => !row.querySelector('th'));
+    if (rows.length) {
+      return rows.map(row => {
+        const cells = Array.from(row.cells).filter(cell => !/\bparamdir\b/.test(cell.className));
+        const term = row.querySelector('.paramname') || cells[0];
+        const rest = cells.slice(cells.indexOf(term) + 1).map(textOf).filter(Boolean);
+        return { term: term ? textOf(term) : null, description: rest.join(' ') || null };
+      }).filter(item => item.term);
+    }
+
+    const text = textOf(container);
+    if (!text) return [];
+    const code = container.querySelector('code');
+    const named = code && textOf(code) && text.startsWith(textOf(code)) && text.slice(textOf(code).length).match(/^\s+-\s+(.*)$/);
+    return [named ? { term: textOf(code), description: named[1] || null } : { term: null, description: text }];
+  }
+
+  splitType(text) {
+    // Sandcastle starts parameter and return descriptions with "Type: System.Int32"
+    const match = (text || '').match(/^Type:\s*(\S+)\s*/);
+    const description = (match ? text.slice(match[0].length) : text || '').trim();
+    return { type: match ? match[1] : null, description: description || null };
+  }
+
+  parseSignature(signature) {
+    // Parameter and return types from a C-like or Visual Basic declaration
+    const open = signature.indexOf('(');
+    let close = -1;
+    for (let i = open, depth = 0; open !== -1 && i < signature.length; i++) {
+      if (signature[i] === '(') depth++;
+      if (signature[i] === ')' && --depth === 0) {
+        close = i;
+        break;
+      }
+    }
+    const head = (open === -1 ? signature.split(/[{;=]/)[0] : signature.slice(0, open)).trim();
+    const tail = close === -1 ? '' : signature.slice(close + 1);
+    const parameters = close === -1 ? [] : this.splitParameters(signature.slice(open + 1, close))
+      .map(parameter => this.parseParameter(parameter)).filter(Boolean);
+
+    let returns = null;
+    // Visual Basic keywords are capitalised; C#'s lowercase "event" takes the C-like path
+    if (/\b(?:Sub|Function|Property|Event|Operator)\b/.test(head)) {
+      const type = (close === -1 ? signature : tail).match(/\bAs\s+([^\s{]+)/i);
+      returns = type && !/\bSub\b/i.test(head) ? type[1] : null;
+    } else {
+      const type = tail.match(/^\s*:\s*([^\s{;]+)/);
+      const tokens = head.replace(/\[[^\]]*\]/g, ' ').split(/\s+/)
+        .filter(token => token && !CHMJsonExtractor.SIGNATURE_MODIFIERS.test(token));
+      returns = type ? type[1] : tokens.slice(0, -1).join(' ') || null;
+    }
+    return { parameters, returns: returns === 'void' ? null : returns };
+  }
+
+  parseParameter(text) {
+    const parameter = text.replace(/^(\s*\[[^\]]*\])+/, '').replace(/\s*=.*$/, '').trim();
+    const basic = parameter.match(/^(?:(?:ByVal|ByRef|Optional|ParamArray)\s+)*([A-Za-z_]\w*)\s+As\s+(.+)$/i);
+    if (basic) return { name: basic[1], type: basic[2].trim() };
+    const annotated = parameter.match(/^([A-Za-z_]\w*)\s*:\s*(.+)$/);
+    if (annotated) return { name: annotated[1], type: annotated[2].trim() };
+    const declared = parameter.match(/^(.*[\s*&>\]])\s*([A-Za-z_$][\w$]*)\s*((?:\[\s*\d*\s*\])*)$/);
+    return declared ? { name: declared[2], type: (declared[1] + declared[3]).trim() } : null;
+  }
+
+  splitParameters(list) {
+    // Commas inside generic arguments and default values don't separate parameters
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of list) {
+      if ('<([{'.includes(char)) depth++;
+      if ('>)]}'.includes(char)) depth--;
+      if (char === ',' && depth === 0) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+    return parts.map(part => part.trim()).filter(part => part && part !== 'void');
+  }
+
+  memberKind(label) {
+    if (!label || label.length > 60) return null;
+    const kind = CHMJsonExtractor.MEMBER_KINDS.find(([pattern]) => pattern.test(label));
+    return kind ? kind[1] : null;
+  }
+
+  mergeMembers(members, others) {
+    // The same member can be listed on the class page, a Members page and its own topic
+    const merged = new Map();
+    [...members, ...others].forEach(member => {
+      const key = `${member.kind}|${member.name}|${member.link}`;
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...member });
+        return;
+      }
+      // Fill in what the other listing left out, such as the syntax a member's own topic adds
+      Object.keys(member).forEach(field => {
+        if (existing[field] === null || existing[field] === undefined) existing[field] = member[field];
+      });
+    });
+    return Array.from(merged.values());
+  }
+
+  textWithoutCode(element) {
+    // Drop declarations and links, keeping the prose around them
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('code, a').forEach(child => child.remove());
+    const text = copy.textContent.replace(/\s+/g, ' ').trim();
+    return /[A-Za-z]/.test(text) ? text : null;
+  }
+
+  resolveTopicLink(path, href) {
+    if (href === null || href === undefined) return null;
+    // Links with a scheme (ms-its:, mk:@MSITStore:, http:) are kept as written
+    if (/^[a-z][\w+.-]*:/i.test(href)) return href;
+    const url = new URL(href, `http://chm/${(path || '').replace(/^\/+/, '')}`);
+    return this.decodeURIPart(url.pathname.slice(1)) + url.hash;
+  }
+
+  decodeURIPart(text) {
+    // A malformed escape ("draw%zz.htm") stays as written rather than failing the whole file
+    try {
+      return decodeURIComponent(text);
+    } catch {
+      return text;
+    }
+  }
+
+  summarizeDocument(doc, heading) {
+    return this.summaryBlock(doc, heading).text;
+  }
+
+  summaryBlock(doc, heading) {
+    // The summary is the first block of text after the title: Sandcastle's div.summary, a <p>, or bare text (no block)
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    const parts = [];
+    let block = null;
+    let node;
+    while ((node = walker.nextNode())) {
+      if (heading && (heading.contains(node) || !(heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING))) {
+        continue;
+      }
+      if (node.parentElement.closest(CHMJsonExtractor.SECTION_HEADINGS)) break;
+      // Code is kept for the examples, not the summary
+      if (node.parentElement.closest('pre, div.fragment')) continue;
+      const owner = node.parentElement.closest('p, div, td, li, dd, pre, body');
+      if (!block && !node.textContent.trim()) continue;
+      if (block && owner !== block) break;
+      block = owner;
+      parts.push(node.textContent);
+    }
+    const text = parts.join('').replace(/\s+/g, ' ').trim() || null;
+    return { text, block: text && block && block !== doc.body ? block : null };
+  }
+
+  markdownFromHTML(html, path = '') {
+    return this.toMarkdown(new DOMParser().parseFromString(html, 'text/html').body, path);
+  }
+
+  toMarkdown(root, path = '') {
+    // Paragraphs, lists, tables and <pre> become Markdown blocks; bold, italics, code spans and links stay inline
+    const render = (node, depth) => Array.from(node.childNodes, child => renderNode(child, depth)).join('');
+    const block = text => `\n\n${text.trim()}\n\n`;
+    const renderNode = (node, depth) => {
+      if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ').replace(/([\\`*_[\]])/g, '\\$1');
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+      const tag = node.tagName.toLowerCase();
+      // Rendered on first use only: lists, tables and code read their children themselves
+      let rendered = null;
+      const inner = () => (rendered === null ? (rendered = render(node, depth).trim()) : rendered);
+
+      if (tag === 'br') return '\\\n';
+      if (/^(?:code|tt|kbd|samp)$/.test(tag) || node.matches('span.code')) {
+        const code = node.textContent.replace(/\s+/g, ' ').trim();
+        return !code ? '' : code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+      }
+      if (tag === 'strong' || tag === 'b') return inner() && `**${inner()}**`;
+      if (tag === 'em' || tag === 'i' || tag === 'cite' || tag === 'var') return inner() && `*${inner()}*`;
+      if (tag === 'a') {
+        const href = node.getAttribute('href');
+        const text = inner();
+        return href && text && !/^javascript:/i.test(href) ? `[${text}](${this.markdownLink(path, href)})` : text;
+      }
+      if (tag === 'img') {
+        const src = node.getAttribute('src');
+        return src ? `![${node.getAttribute('alt') || ''}](${this.markdownLink(path, src)})` : '';
+      }
+      if (tag === 'pre') return `\n\n\`\`\`\n${node.textContent.replace(/^\n|\n$/g, '')}\n\`\`\`\n\n`;
+      if (tag === 'ul' || tag === 'ol') {
+        const items = Array.from(node.children).filter(item => item.tagName === 'LI');
+        const indent = '  '.repeat(depth);
+        return `\n\n${items.map((item, i) => `${indent}${tag === 'ol' ? `${i + 1}.` : '-'} ` +
+          render(item, depth + 1).trim().replace(/\n{2,}/g, '\n')).join('\n')}\n\n`;
+      }
+      if (tag === 'table') {
+        const rows = Array.from(node.querySelectorAll('tr')).filter(row => row.closest('table') === node)
+          .map(row => Array.from(row.children, cell => render(cell, depth).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|')));
+        if (!rows.length) return '';
+        const width = Math.max(...rows.map(row => row.length));
+        const line = row => `| ${[...row, ...Array(width - row.length).fill('')].join(' | ')} |`;
+        return block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+      }
+      if (/^h[1-6]$/.test(tag)) return inner() ? block(`${'#'.repeat(Number(tag[1]))} ${inner()}`) : '';
+      if (tag === 'blockquote') return inner() ? block(inner().split('\n').map(text => `> ${text}`).join('\n')) : '';
+      if (/^(?:p|div|dd|dt|dl|li|section|article|center)$/.test(tag)) return inner() ? block(inner()) : '';
+      return render(node, depth);
+    };
+
+    return render(root, 0).replace(/\n[ \t]+(?=\n)/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  toPlainText(root) {
+    // Text without markup: a blank line between blocks and a line per list item or table row
+    const copy = root.cloneNode(true);
+    copy.querySelectorAll('br').forEach(element => element.replaceWith('\n'));
+    copy.querySelectorAll('td, th').forEach(cell => cell.after(' '));
+    copy.querySelectorAll('li, tr, dt, dd').forEach(line => line.after('\n'));
+    copy.querySelectorAll('p, div, pre, blockquote, ul, ol, dl, table, section, article, h1, h2, h3, h4, h5, h6').forEach(block => {
+      block.before('\n\n');
+      block.after('\n\n');
+    });
+    return copy.textContent.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n')
+      .replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  markdownLink(path, href) {
+    // Links into this CHM (ms-its:, mk:@MSITStore:) become topic paths, like relative ones; web links stay as written
+    return this.resolveTopicLink(path, href.replace(/^(?:ms-its|mk:@MSITStore):.*?::(?=\/)/i, ''));
+  }
+
+  findSection(doc, title) {
+    const range = this.sectionRange(doc, [title.toLowerCase()]);
+    return range ? range.toString().replace(/\s+/g, ' ').trim() || null : null;
+  }
+
+  sectionRange(doc, titles, root = doc.body) {
+    const headings = Array.from(root.querySelectorAll(CHMJsonExtractor.SECTION_HEADINGS));
+    const index = headings.findIndex(element =>
+      titles.includes(element.textContent.replace(/\s+/g, ' ').trim().toLowerCase()));
+    if (index === -1) return null;
+
+    // Everything between this heading and the next one that isn't nested inside it
+    const heading = headings[index];
+    const next = headings.slice(index + 1).find(element => !heading.contains(element));
+    const range = doc.createRange();
+    range.setStartAfter(heading);
+    if (next) {
+      range.setEndBefore(next);
+    } else {
+      range.setEnd(root, root.childNodes.length);
+    }
+    return range;
+  }
+
+  findSitemapFile(directory, name, extension) {
+    if (!directory) return null;
+    if (name) {
+      const entry = this.findDirectoryEntry(directory, `/${name.replace(/^\/+/, '')}`);
+      if (entry) return entry;
+    }
+    // #SYSTEM may not name it; fall back to the first file with the right extension
+    return directory.entries.find(entry => entry.path.toLowerCase().endsWith(extension)) || null;
+  }
+
+  readTableOfContents(buffer, directory, metadata) {
+    const entry = this.findSitemapFile(directory, metadata && metadata.contentsFile, '.hhc');
+    if (!entry) return [];
+
+    try {
+      const text = this.decodeText(this.readDirectoryFile(buffer, directory, entry));
+      const toTree = nodes => nodes.map(node => ({
+        name: this.getSitemapParam(node, 'Name'),
+        local: this.getSitemapParam(node, 'Local'),
+        children: toTree(node.children)
+      }));
+      return toTree(this.parseSitemap(text));
+    } catch (error) {
+      console.warn('Could not parse table of contents:', error);
+      return [];
+    }
+  }
+
+  readKeywordIndex(buffer, directory, metadata) {
+    const entry = this.findSitemapFile(directory, metadata && metadata.indexFile, '.hhk');
+    if (!entry) return [];
+
+    try {
+      const text = this.decodeText(this.readDirectoryFile(buffer, directory, entry));
+      return this.parseSitemap(text).map(node => this.toIndexRecord(node));
+    } catch (error) {
+      console.warn('Could not parse keyword index:', error);
+      return [];
+    }
+  }
+
+  toIndexRecord(node) {
+    // First Name is the keyword; every later Local is a target, titled by the Name just before it
+    const keyword = this.getSitemapParam(node, 'Name') || '';
+    const targets = [];
+    let title = null;
+    node.params.slice(node.params.findIndex(p => p.name.toLowerCase() === 'name') + 1).forEach(param => {
+      const name = param.name.toLowerCase();
+      if (name === 'name') {
+        title = param.value;
+      } else if (name === 'local') {
+        targets.push({ title: title || keyword, local: param.value });
+        title = null;
+      }
+    });
+
+    return {
+      keyword,
+      subkeywords: node.children.map(child => this.toIndexRecord(child)),
+      targets
+    };
+  }
+
+  linkIndexToEntries(records, entries) {
+    // A keyword links to a class when it names it: "Widget", "Widget class", "Widget.Draw method"
+    const names = new Set((entries || []).map(entry => entry.name));
+    const link = record => {
+      const head = record.keyword.trim().split(/[\s.,:(]/)[0];
+      return {
+        ...record,
+        classes: names.has(head) ? [head] : [],
+        subkeywords: record.subkeywords.map(link)
+      };
+    };
+    return records.map(link);
+  }
+
+  readFullTextIndex(buffer, directory, topics) {
+    const entry = directory && this.findDirectoryEntry(directory, '/$FIftiMain');
+    if (!entry) return [];
+
+    try {
+      return this.parseFullTextIndex(this.readDirectoryFile(buffer, directory, entry), topics);
+    } catch (error) {
+      console.warn('Could not decode full-text index:', error);
+      return [];
+    }
+  }
+
+  parseFullTextIndex(data, topics) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (data.length < 0x32) {
+      throw new Error('$FIftiMain header is truncated');
+    }
+
+    // Header: root node offset, tree depth, scale/root pairs for the WLC fields, node length
+    const rootOffset = view.getUint32(0x14, true);
+    const depth = view.getUint16(0x18, true);
+    const [docScale, docRoot, countScale, countRoot, locationScale, locationRoot] = data.subarray(0x1E, 0x24);
+    const nodeLength = view.getUint32(0x2E, true);
+    if (docScale !== 2 || countScale !== 2 || locationScale !== 2) {
+      throw new Error('Unsupported $FIftiMain scale (only 2 is known)');
+    }
+
+    // Index nodes: WORD free space, then { length, prefix, word, DWORD child offset, WORD }; the first child is the leftmost
+    let offset = rootOffset;
+    for (let level = 1; level < depth; level++) {
+      offset = view.getUint32(offset + 3 + data[offset + 2], true);
+    }
+
+    // Little-endian base-128, unlike the big-endian ENCINTs of the directory
+    const readVarint = pos => {
+      let value = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = data[pos++];
+        value += (byte & 0x7F) * 2 ** shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return { value, offset: pos };
+    };
+
+    const topicByIndex = new Map(topics.map(topic => [topic.index, topic]));
+    const words = [];
+    const visited = new Set();
+    let previous = new Uint8Array(0);
+
+    // Leaf nodes: DWORD next leaf, WORD, WORD free space, then front-compressed words in sorted order
+    while (offset && !visited.has(offset) && offset + nodeLength <= data.length) {
+      visited.add(offset);
+      const end = offset + nodeLength - view.getUint16(offset + 6, true);
+      let pos = offset + 8;
+
+      while (pos < end) {
+        // Word length counts the trailing "in a title" byte; prefix bytes are shared with the previous word
+        const wordLength = data[pos];
+        const prefix = data[pos + 1];
+        const bytes = new Uint8Array(prefix + wordLength - 1);
+        bytes.set(previous.subarray(0, prefix));
+        bytes.set(data.subarray(pos + 2, pos + 1 + wordLength), prefix);
+        previous = bytes;
+        const inTitle = data[pos + 1 + wordLength] !== 0;
+
+        const count = readVarint(pos + 2 + wordLength);
+        const wlcOffset = view.getUint32(count.offset, true);
+        const size = readVarint(count.offset + 6);
+        pos = size.offset;
+
+        const occurrences = this.decodeWordLocations(
+          data.subarray(wlcOffset, wlcOffset + size.value), count.value,
+          [docRoot, countRoot, locationRoot]
+        ).map(({ topic, locations }) => {
+          const known = topicByIndex.get(topic);
+          return { topic, title: known ? known.title : null, local: known ? known.local : null, locations };
+        });
+        words.push({ word: this.decodeText(bytes), inTitle, occurrences });
+      }
+
+      offset = view.getUint32(offset, true);
     }
+
+    return words;
   }
 
-  async loadFile(file) {
-    if (!file.name.toLowerCase().endsWith('.chm')) {
-      return this.showStatus('Only .chm files are supported.', 'error');
+  decodeWordLocations(bytes, documentCount, [docRoot, countRoot, locationRoot]) {
+    // Word location codes: per document, a byte-aligned run of scale-2 "s/r" integers
+    // (document index delta, location count, location deltas), read most significant bit first
+    let pos = 0;
+    let bit = 7;
+    const readBit = () => {
+      if (pos >= bytes.length) throw new Error('Word location codes are truncated');
+      const value = (bytes[pos] >> bit) & 1;
+      if (bit === 0) {
+        bit = 7;
+        pos++;
+      } else {
+        bit--;
+      }
+      return value;
+    };
+    const readSR = root => {
+      // Unary prefix of 1s; after p > 0 of them the value has an implied top bit above root + p - 1 bits
+      let ones = 0;
+      while (readBit()) ones++;
+      const bits = ones ? root + ones - 1 : root;
+      let value = 0;
+      for (let i = 0; i < bits; i++) value = value * 2 + readBit();
+      return ones ? value + 2 ** bits : value;
+    };
+
+    const documents = [];
+    let topic = 0;
+    for (let i = 0; i < documentCount; i++) {
+      if (bit !== 7) {
+        bit = 7;
+        pos++;
+      }
+      topic += readSR(docRoot);
+      const locations = [];
+      let location = 0;
+      for (let count = readSR(countRoot); count > 0; count--) {
+        location += readSR(locationRoot);
+        locations.push(location);
+      }
+      documents.push({ topic, locations });
     }
+    return documents;
+  }
 
-    this.showStatus(`Reading ${file.name}...`);
-    const buffer = await file.arrayBuffer();
+  parseSitemap(text) {
+    // Sitemap files (.hhc/.hhk) are loose HTML: <UL>/<LI> nesting around <OBJECT type="text/sitemap">
+    // blocks of <param> tags, often with unclosed elements, so walk the tags rather than trusting the tree
+    const root = [];
+    const levels = [root];
+    let current = null;
 
-    const validation = this.validateCHM(buffer);
-    if (!validation) {
-      return this.showStatus('Invalid CHM format (missing ITSF signature or corrupted header).', 'error');
-    }
+    const finishObject = () => {
+      if (current) {
+        levels[levels.length - 1].push(current);
+        current = null;
+      }
+    };
 
-    this.showStatus(`Valid CHM file (version ${validation.version}). Extracting content...`);
-    
-    try {
-      const content = this.extractCHMContent(buffer, validation);
-      this.jsonData = this.toStructuredJSON(content);
-      this.previewJSON(this.jsonData);
+    const tagPattern = /<\s*(\/?)\s*(ul|li|object|param)\b([^>]*)>/gi;
+    let match;
+    while ((match = tagPattern.exec(text)) !== null) {
+      const closing = match[1] === '/';
+      const tag = match[2].toLowerCase();
+      const attributes = this.parseAttributes(match[3]);
 
-      if (this.jsonData && this.jsonData.length > 0) {
-        this.showStatus(`✅ Extraction successful! Found ${this.jsonData.length} class definitions.`, 'success');
-        const downloadButtons = document.getElementById('downloadButtons');
-        if (downloadButtons) {
-          downloadButtons.style.display = 'block';
+      if (tag === 'param') {
+        if (current && attributes.name) {
+          current.params.push({ name: attributes.name, value: attributes.value || '' });
+        }
+      } else if (tag === 'object') {
+        finishObject();
+        if (!closing && (attributes.type || '').toLowerCase() === 'text/sitemap') {
+          current = { params: [], children: [] };
+        }
+      } else if (tag === 'ul') {
+        finishObject();
+        if (closing) {
+          if (levels.length > 1) levels.pop();
+        } else {
+          // A nested list belongs to the last item at the current level
+          const level = levels[levels.length - 1];
+          const parent = level[level.length - 1];
+          levels.push(parent ? parent.children : level);
         }
       } else {
-        this.showStatus('⚠️ No class definitions found in this CHM file.', 'warning');
+        finishObject();
       }
-    } catch (error) {
-      this.showStatus(`❌ Extraction failed: ${error.message}`, 'error');
     }
+    finishObject();
+
+    return root;
   }
 
-  validateCHM(buffer) {
-    if (buffer.byteLength < 96) { // Minimum ITSF header size
-      return false;
-    }
-    
-    // Check ITSF signature
-    const sig = new TextDecoder().decode(new Uint8Array(buffer, 0, 4));
-    if (sig !== 'ITSF') {
-      return false;
-    }
-    
-    // Check version (should be 3 for most CHM files)
-    const view = new DataView(buffer);
-    const version = view.getUint32(4, true); // Little endian
-    
-    // Validate header size
-    const headerSize = view.getUint32(8, true);
-    if (headerSize < 96 || headerSize > buffer.byteLength) {
-      return false;
+  parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+      attributes[match[1].toLowerCase()] = this.decodeEntities(value);
     }
-    
-    return { version, headerSize };
+    return attributes;
+  }
+
+  getSitemapParam(node, name) {
+    const param = node.params.find(p => p.name.toLowerCase() === name.toLowerCase());
+    return param ? param.value : null;
+  }
+
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, body) => {
+      if (body[0] === '#') {
+        const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+      }
+      return Object.prototype.hasOwnProperty.call(named, body.toLowerCase()) ? named[body.toLowerCase()] : entity;
+    });
   }
 
   extractCHMContent(buffer, validation) {
+    // One codepage for the whole file: the ITSF header's LCID until #SYSTEM can be read
+    this.encoding = this.detectEncoding(buffer, null);
     try {
-      const view = new DataView(buffer);
-      const content = [];
-      
-      // Parse ITSF header for section offsets
-      const headerSize = validation.headerSize;
-      const fileLength = view.getBigUint64(16, true);
-      
-      // Read directory header section
-      let offset = headerSize;
-      if (offset + 16 <= buffer.byteLength) {
-        const dirHeaderOffset = Number(view.getBigUint64(offset, true));
-        const dirHeaderSize = Number(view.getBigUint64(offset + 8, true));
-        
-        if (dirHeaderOffset > 0 && dirHeaderOffset < buffer.byteLength) {
-          // Try to find and extract content from the directory structure
-          content.push(...this.extractContentFromDirectory(buffer, dirHeaderOffset, dirHeaderSize));
-        }
+      // Decode the ITSP directory so we know exactly which internal files exist
+      this.directory = this.parseDirectory(buffer, validation);
+      this.encoding = this.detectEncoding(buffer, this.directory);
+      const topics = this.readTopics(buffer, this.directory);
+      this.pages = topics;
+
+      // Decoded topics replace the raw binary scan whenever the directory yields any
+      if (topics.length > 0) {
+        this.scanOffsets = [];
+        this.profile = this.detectProfile(topics, this.listInternalFiles(this.directory).map(entry => entry.path));
+        return topics
+          .map(topic => topic.text)
+          .filter(text => this.containsRelevantText(text))
+          .join('\n');
       }
       
       // Fallback: scan for readable text patterns in the entire file
-      if (content.length === 0) {
-        content.push(...this.scanForTextContent(buffer));
-      }
-      
-      return content.join('\n');
+      return this.scanRawContent(buffer);
     } catch (error) {
       // If structured parsing fails, fall back to text scanning
       console.warn('Structured CHM parsing failed, falling back to text scanning:', error);
-      return this.scanForTextContent(buffer).join('\n');
+      return this.scanRawContent(buffer);
     }
   }
 
-  extractContentFromDirectory(buffer, dirOffset, dirSize) {
-    const content = [];
+  scanRawContent(buffer) {
+    // Uncompressed markup and the directory's file names are still readable in the raw bytes. They are picked out
+    // of each run as the scan passes it, so the file is never decoded whole: the first run showing each generator's
+    // markers stands in for the file's text
+    const profiles = CHMJsonExtractor.PROFILES.filter(profile => profile.markers);
+    const marked = new Map();
+    const paths = [];
+    const chunks = this.scanChunks(buffer, text => {
+      profiles.filter(profile => !marked.has(profile) && profile.markers.test(text)).forEach(profile => marked.set(profile, text));
+      paths.push(...(text.match(/\/[^\0\s"'<>]+\.html?/gi) || []));
+    });
+    this.profile = this.detectProfile([{ path: '', text: Array.from(marked.values()).join('\n') }], paths);
+    this.scanOffsets = chunks.map(chunk => chunk.offset);
+    return chunks.map(chunk => chunk.text).join('\n');
+  }
+
+  readEncInt(bytes, offset) {
+    // CHM "ENCINT": big-endian base-128, high bit set on every byte except the last
+    let value = 0;
+    let pos = offset;
+    while (pos < bytes.length) {
+      const byte = bytes[pos++];
+      value = value * 128 + (byte & 0x7F);
+      if ((byte & 0x80) === 0) {
+        return { value, offset: pos };
+      }
+    }
+    throw new Error(`Truncated encoded integer at offset ${offset}`);
+  }
+
+  parseDirectory(buffer, validation) {
     const view = new DataView(buffer);
-    
-    try {
-      // Parse directory entries to find HTML files and content
-      let currentOffset = dirOffset;
-      const endOffset = Math.min(dirOffset + dirSize, buffer.byteLength);
-      
-      while (currentOffset < endOffset - 8) {
-        // Look for potential HTML content or text blocks
-        const chunk = new Uint8Array(buffer, currentOffset, Math.min(4096, endOffset - currentOffset));
-        const text = this.tryDecodeChunk(chunk);
-        
-        if (this.containsRelevantText(text)) {
-          content.push(text);
-        }
-        
-        currentOffset += 4096;
+    const bytes = new Uint8Array(buffer);
+    const signatureAt = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+    if (validation.headerSize < 0x58 || buffer.byteLength < 0x58) {
+      throw new Error('ITSF header too short for a header section table');
+    }
+
+    // ITSF header section table: entry 1 is the directory (ITSP header + listing chunks)
+    const dirOffset = Number(view.getBigUint64(0x48, true));
+    const dirLength = Number(view.getBigUint64(0x50, true));
+    // Version 3 headers record where content section 0 starts; older ones put it right after the directory
+    const contentOffset = validation.headerSize >= 0x60
+      ? Number(view.getBigUint64(0x58, true))
+      : dirOffset + dirLength;
+
+    if (dirOffset + 0x54 > buffer.byteLength || signatureAt(dirOffset) !== 'ITSP') {
+      throw new Error('ITSP directory header not found');
+    }
+
+    const itspHeaderLength = view.getUint32(dirOffset + 8, true);
+    const chunkSize = view.getUint32(dirOffset + 0x10, true);
+    const firstListingChunk = view.getInt32(dirOffset + 0x20, true);
+    const chunkCount = view.getUint32(dirOffset + 0x2C, true);
+    const chunksStart = dirOffset + itspHeaderLength;
+
+    if (chunkSize < 0x20 || chunksStart + chunkCount * chunkSize > buffer.byteLength) {
+      throw new Error('ITSP directory chunks extend past end of file');
+    }
+
+    // Listing (PMGL) chunks form a linked list; index (PMGI) chunks only summarise them for lookups
+    const entries = [];
+    const visited = new Set();
+    let chunk = firstListingChunk;
+    while (chunk >= 0 && chunk < chunkCount && !visited.has(chunk)) {
+      visited.add(chunk);
+      const chunkOffset = chunksStart + chunk * chunkSize;
+      if (signatureAt(chunkOffset) !== 'PMGL') {
+        throw new Error(`Directory chunk ${chunk} is not a PMGL listing chunk`);
+      }
+      entries.push(...this.parseListingChunk(buffer, chunkOffset, chunkSize));
+      chunk = view.getInt32(chunkOffset + 0x10, true);
+    }
+
+    return { chunkSize, contentOffset, lcid: view.getUint32(0x14, true), entries };
+  }
+
+  parseListingChunk(buffer, chunkOffset, chunkSize) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const entries = [];
+    // The tail of each chunk holds free space followed by the quickref area
+    const freeSpace = view.getUint32(chunkOffset + 4, true);
+    const end = chunkOffset + chunkSize - freeSpace;
+    const decoder = new TextDecoder('utf-8');
+    let pos = chunkOffset + 0x14;
+
+    while (pos < end) {
+      const nameLength = this.readEncInt(bytes, pos);
+      const path = decoder.decode(bytes.subarray(nameLength.offset, nameLength.offset + nameLength.value));
+      const section = this.readEncInt(bytes, nameLength.offset + nameLength.value);
+      const offset = this.readEncInt(bytes, section.offset);
+      const length = this.readEncInt(bytes, offset.offset);
+      entries.push({ path, section: section.value, offset: offset.value, length: length.value });
+      pos = length.offset;
+    }
+
+    return entries;
+  }
+
+  findDirectoryEntry(directory, path) {
+    const wanted = path.toLowerCase();
+    return directory.entries.find(entry => entry.path.toLowerCase() === wanted) || null;
+  }
+
+  listInternalFiles(directory) {
+    // Content files only: skip folders, content-section storage (::DataSection) and compiler files (/#SYSTEM, /$FIftiMain)
+    return directory.entries.filter(entry =>
+      entry.path.startsWith('/') && !entry.path.endsWith('/') && !/^\/[#$]/.test(entry.path));
+  }
+
+  readDirectoryFile(buffer, directory, entry) {
+    if (entry.section === 1) {
+      return this.readCompressedRange(buffer, directory, entry.offset, entry.length);
+    }
+    if (entry.section !== 0) {
+      throw new Error(`${entry.path} is in unsupported content section ${entry.section}`);
+    }
+    const start = directory.contentOffset + entry.offset;
+    if (start + entry.length > buffer.byteLength) {
+      throw new Error(`${entry.path} extends past end of file`);
+    }
+    return new Uint8Array(buffer, start, entry.length);
+  }
+
+  openCompressedSection(buffer, directory) {
+    const readRequired = path => {
+      const entry = this.findDirectoryEntry(directory, path);
+      if (!entry || entry.section !== 0) {
+        throw new Error(`Missing ${path}`);
+      }
+      return this.readDirectoryFile(buffer, directory, entry);
+    };
+    const viewOf = bytes => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // ControlData: LZXC signature, version, reset interval, window size and windows per reset
+    const control = viewOf(readRequired('::DataSection/MSCompressed/ControlData'));
+    if (control.byteLength < 24 || control.getUint32(4, true) !== 0x43585A4C) { // 'LZXC'
+      throw new Error('MSCompressed ControlData is not LZXC');
+    }
+    let resetInterval = control.getUint32(12, true);
+    let windowSize = control.getUint32(16, true);
+    const windowsPerReset = control.getUint32(20, true) || 1;
+    if (control.getUint32(8, true) === 2) {
+      // Version 2 counts both values in 32 KB units
+      resetInterval *= 0x8000;
+      windowSize *= 0x8000;
+    }
+    const windowBits = Math.log2(windowSize);
+    if (!Number.isInteger(windowBits) || resetInterval % (windowSize / 2) !== 0) {
+      throw new Error(`Unsupported LZX parameters (window ${windowSize}, reset interval ${resetInterval})`);
+    }
+
+    // ResetTable: compressed offset of every uncompressed block, so reads can start at a reset point
+    const table = viewOf(readRequired(
+      '::DataSection/MSCompressed/Transform/{7FC28940-9D31-11D0-9B27-00A0C91E9C7C}/InstanceData/ResetTable'
+    ));
+    const blockCount = table.getUint32(4, true);
+    const tableOffset = table.getUint32(12, true);
+    if (tableOffset + blockCount * 8 > table.byteLength) {
+      throw new Error('MSCompressed ResetTable is truncated');
+    }
+    const blockOffsets = [];
+    for (let i = 0; i < blockCount; i++) {
+      blockOffsets.push(Number(table.getBigUint64(tableOffset + i * 8, true)));
+    }
+
+    const content = this.findDirectoryEntry(directory, '::DataSection/MSCompressed/Content');
+    if (!content || content.section !== 0) {
+      throw new Error('Missing ::DataSection/MSCompressed/Content');
+    }
+
+    return {
+      contentStart: directory.contentOffset + content.offset,
+      uncompressedLength: Number(table.getBigUint64(16, true)),
+      compressedLength: Number(table.getBigUint64(24, true)),
+      blockLength: Number(table.getBigUint64(32, true)),
+      blockOffsets,
+      blocksPerReset: Math.max(1, resetInterval / (windowSize / 2) * windowsPerReset),
+      decoder: new LZXDecoder(windowBits),
+      lastBlock: -1,
+      cache: new Map()
+    };
+  }
+
+  decompressBlock(buffer, section, block) {
+    if (section.cache.has(block)) {
+      return section.cache.get(block);
+    }
+    if (block >= section.blockOffsets.length) {
+      throw new Error(`MSCompressed block ${block} is past the end of the reset table`);
+    }
+
+    // Resume after the last decoded block when it is in the same reset interval, else restart at the reset point
+    const resetBlock = block - (block % section.blocksPerReset);
+    const first = section.lastBlock >= resetBlock && section.lastBlock < block ? section.lastBlock + 1 : resetBlock;
+
+    let data = null;
+    for (let current = first; current <= block; current++) {
+      if (current % section.blocksPerReset === 0) {
+        section.decoder.reset();
+      }
+      const start = section.blockOffsets[current];
+      const end = current + 1 < section.blockOffsets.length
+        ? section.blockOffsets[current + 1]
+        : section.compressedLength;
+      const outputLength = Math.min(section.blockLength, section.uncompressedLength - current * section.blockLength);
+      const input = new Uint8Array(buffer, section.contentStart + start, end - start);
+
+      data = section.decoder.decompress(input, outputLength);
+      section.lastBlock = current;
+      section.cache.set(current, data);
+      if (section.cache.size > 32) {
+        section.cache.delete(section.cache.keys().next().value);
+      }
+    }
+    return data;
+  }
+
+  readCompressedRange(buffer, directory, offset, length) {
+    if (!directory.compressedSection) {
+      directory.compressedSection = this.openCompressedSection(buffer, directory);
+    }
+    const section = directory.compressedSection;
+    if (offset + length > section.uncompressedLength) {
+      throw new Error('Read past end of MSCompressed section');
+    }
+
+    // Only the blocks covering the requested range (plus those since their reset point) are decoded
+    const output = new Uint8Array(length);
+    let written = 0;
+    while (written < length) {
+      const position = offset + written;
+      const block = this.decompressBlock(buffer, section, Math.floor(position / section.blockLength));
+      const start = position % section.blockLength;
+      const count = Math.min(block.length - start, length - written);
+      output.set(block.subarray(start, start + count), written);
+      written += count;
+    }
+    return output;
+  }
+
+  readTopics(buffer, directory) {
+    const topics = [];
+    const pages = directory.entries.filter(entry => /\.html?$/i.test(entry.path));
+
+    for (const entry of pages) {
+      try {
+        const data = this.readDirectoryFile(buffer, directory, entry);
+        topics.push({ path: entry.path, text: this.decodeText(data) });
+      } catch (error) {
+        console.warn(`Could not read ${entry.path}:`, error);
       }
-    } catch (error) {
-      console.warn('Directory parsing error:', error);
     }
     
-    return content;
+    return topics;
   }
 
-  scanForTextContent(buffer) {
+  scanChunks(buffer, onRun = null) {
+    // The file as runs of text between binary gaps, each with the byte offset it starts at. One decoder reads the
+    // windows in turn, so a character split across a window edge is completed from the next, and a run still open
+    // at a window's end carries over: every run is judged whole and emitted once. onRun sees every run, relevant or not
+    const bytes = new Uint8Array(buffer);
+    const decoder = this.decoderFor(bytes);
+    const unit = decoder.encoding === 'utf-16le' ? 2 : 1;
+    const step = CHMJsonExtractor.SCAN_CHUNK_SIZE;
     const content = [];
-    const step = 4096; // Increased chunk size for better text extraction
-    
-    for (let i = 0; i < buffer.byteLength; i += step) {
-      const chunkSize = Math.min(step, buffer.byteLength - i);
-      const chunk = new Uint8Array(buffer, i, chunkSize);
-      const text = this.tryDecodeChunk(chunk);
-      
-      if (this.containsRelevantText(text)) {
-        // Clean up null bytes and excessive whitespace
-        const cleanText = text.replace(/\0/g, '').replace(/\s+/g, ' ').trim();
-        if (cleanText.length > 0) {
-          content.push(cleanText);
+    let run = null;
+
+    const emit = (offset, text) => {
+      // Lone null bytes left in a run are the high bytes of UTF-16 text
+      const joined = text.replace(/\0/g, '');
+      if (onRun) onRun(joined);
+      if (!this.containsRelevantText(joined)) return;
+      // Clean up excessive whitespace
+      const cleanText = joined.replace(/\s+/g, ' ').trim();
+      if (cleanText.length > 0) {
+        content.push({ offset, text: cleanText });
+      }
+    };
+    const append = (from, to) => {
+      if (to <= from) return;
+      if (!run) run = { offset: from, text: '' };
+      run.text += decoder.decode(bytes.subarray(from, to), { stream: true });
+    };
+    const close = () => {
+      if (!run) return;
+      run.text += decoder.decode();
+      emit(run.offset, run.text);
+      run = null;
+    };
+
+    for (let start = 0; start < bytes.length; start += step) {
+      const end = Math.min(start + step, bytes.length);
+      let from = start;
+      for (let i = start; i < end; i += unit) {
+        if (this.isScanGap(bytes, i, unit)) {
+          append(from, i);
+          close();
+          from = i + unit;
         }
       }
+      append(from, end);
+
+      // Text with no gap for longer than a window is split, keeping its last definition whole in the carried part
+      if (run && run.text.length > step) {
+        const cut = this.scanCutPoint(run.text);
+        const head = run.text.slice(0, cut);
+        emit(run.offset, head);
+        run = {
+          offset: run.offset + this.scanByteLength(bytes.subarray(run.offset, end), head.length, decoder.encoding),
+          text: run.text.slice(cut)
+        };
+      }
     }
-    
+    close();
+
     return content;
   }
 
-  tryDecodeChunk(chunk) {
-    try {
-      // Try UTF-8 first
-      return new TextDecoder('utf-8', { fatal: true }).decode(chunk);
-    } catch {
-      try {
-        // Fallback to UTF-16 for some CHM files
-        return new TextDecoder('utf-16le', { fatal: true }).decode(chunk);
-      } catch {
-        try {
-          // Fallback to Windows-1252 for legacy files
-          return new TextDecoder('windows-1252', { fatal: true }).decode(chunk);
-        } catch {
-          // Last resort: decode as latin1 and filter printable characters
-          const latin1 = new TextDecoder('latin1').decode(chunk);
-          return latin1.replace(/[\x00-\x1F\x7F-\x9F]/g, ' '); // Replace control chars with spaces
-        }
-      }
+  isScanGap(bytes, i, unit) {
+    // Control characters other than tab and line breaks separate runs of text from binary data
+    const printable = value => value >= 0x20 || value === 0x09 || value === 0x0A || value === 0x0D;
+    const value = unit === 2 ? bytes[i] | (bytes[i + 1] << 8) : bytes[i];
+    if (printable(value)) return false;
+    // A lone NUL between characters is the high byte of UTF-16 text stored in a single-byte file: not a gap
+    return !(unit === 1 && value === 0 && printable(bytes[i - 1]) && printable(bytes[i + 1]));
+  }
+
+  scanCutPoint(text) {
+    // Before the last definition: at its keyword for "Class Widget", at the word before it for "Widget Class";
+    // failing that, after the last space
+    const keywords = new RegExp(`\\b(?:Class|${CHMJsonExtractor.TEXT_KIND_WORDS})\\b`, 'g');
+    const matches = [...text.matchAll(keywords)];
+    const last = matches.length > 0 ? matches[matches.length - 1].index : 0;
+    if (last > 0) {
+      const cut = /^\w+\s+[A-Z]/.test(text.slice(last)) ? last : text.slice(0, last).search(/\S*\s*$/);
+      if (cut > 0) return cut;
+    }
+    const space = text.search(/\s\S*$/);
+    return space >= 0 ? space + 1 : text.length;
+  }
+
+  scanByteLength(bytes, chars, encoding) {
+    // How many bytes decode to the first `chars` characters: multi-byte codepages have no fixed ratio
+    const decodedLength = count => new TextDecoder(encoding).decode(bytes.subarray(0, count), { stream: true }).length;
+    let low = 0;
+    let high = bytes.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (decodedLength(middle) >= chars) high = middle;
+      else low = middle + 1;
     }
+    return low;
   }
 
   containsRelevantText(text) {
@@ -231,9 +3021,15 @@ class CHMJsonExtractor {
     ];
     
     // Test the first pattern against uncollapsed text, others against clean text
+    // Other kinds need a capitalised keyword and name: "interface", "function" and "module" are common in prose
+    const kindPattern = new RegExp(`\\b(?:${CHMJsonExtractor.TEXT_KIND_WORDS})\\s+[A-Z][a-zA-Z0-9_]+\\s`);
+    // The generator's own title layout, e.g. Sandcastle's "Widget Class" on a line or heading of its own
+    const titled = this.currentProfile().textPattern;
+    const hasTitle = Boolean(titled) && cleanTextForPattern.split(/\n|<[^>]*>/).some(line => titled.test(line.trim()));
     const hasClassPattern = patterns[0].test(cleanTextForPattern) || 
-                           patterns.slice(1).some(pattern => pattern.test(cleanText));
-    const hasClassKeyword = cleanText.includes('Class');
+                           patterns.slice(1).some(pattern => pattern.test(cleanText)) ||
+                           kindPattern.test(cleanText) || hasTitle;
+    const hasClassKeyword = cleanText.includes('Class') || kindPattern.test(cleanText) || hasTitle;
     
     if (!hasClassPattern || !hasClassKeyword) {
       return false;
@@ -241,13 +3037,14 @@ class CHMJsonExtractor {
     
     // Ensure it's not just garbled binary data by checking alphabetic character ratio
     // Use clean text for ratio calculation
-    const alphabeticChars = (cleanText.match(/[a-zA-Z]/g) || []).length;
-    const textRatio = alphabeticChars / cleanText.length;
-    
-    return textRatio > 0.2; // More lenient ratio for CHM files with embedded nulls
+    return this.alphabeticRatio(cleanText) > 0.2; // More lenient ratio for CHM files with embedded nulls
+  }
+
+  alphabeticRatio(text) {
+    return text.length > 0 ? (text.match(/[a-zA-Z]/g) || []).length / text.length : 0;
   }
 
-  toStructuredJSON(rawText) {
+  toStructuredJSON(rawText, origin = {}) {
     if (!rawText || rawText.trim().length === 0) {
       return [];
     }
@@ -256,16 +3053,29 @@ class CHMJsonExtractor {
     const lines = rawText.split('\n');
 
     // Enhanced patterns to match various class definition formats
+    // Each pattern with the layout it reads, reported as the entry's source rule
     const classPatterns = [
-      /\bclass\s+([A-Z][\w\d]*)\s*:\s*(.*)/i,         // Class with colon (more specific first)
-      /\bClass\s+([A-Z][\w\d]*)\s*\((.*?)\)/i,        // Class with parentheses
-      /<h[1-6][^>]*>Class\s+([A-Z][\w\d]*)[^<]*(.*?)<\/h[1-6]>/i,  // HTML headers
-      /\bCLASS\s+([A-Z][\w\d]*)\s+(.*)/i,             // ALL CAPS CLASS (require space)
-      /\bClass\s+([A-Z][\w\d]*)\s+(.*)/i,             // Original pattern (require space)
-      /\bclass\s+([A-Z][\w\d]*)\s+(.*)/i,             // Lowercase class (require space)
+      [/\bclass\s+([A-Z][\w\d]*)\s*:\s*(.*)/i, 'Class Name: description'],         // Class with colon (more specific first)
+      [/\bClass\s+([A-Z][\w\d]*)\s*\((.*?)\)/i, 'Class Name (description)'],        // Class with parentheses
+      [/<h[1-6][^>]*>Class\s+([A-Z][\w\d]*)[^<]*(.*?)<\/h[1-6]>/i, '<h1>Class Name</h1>'],  // HTML headers
+      [/\bCLASS\s+([A-Z][\w\d]*)\s+(.*)/i, 'Class Name description'],             // ALL CAPS CLASS (require space)
+      [/\bClass\s+([A-Z][\w\d]*)\s+(.*)/i, 'Class Name description'],             // Original pattern (require space)
+      [/\bclass\s+([A-Z][\w\d]*)\s+(.*)/i, 'Class Name description'],             // Lowercase class (require space)
       // Fallback patterns (more lenient spacing) 
-      /\bClass\s+([A-Z][\w\d]*)\s*(.*)/i,             // Class with optional space
-      /\bclass\s+([A-Z][\w\d]*)\s*(.*)/i,             // class with optional space
+      [/\bClass\s+([A-Z][\w\d]*)\s*(.*)/i, 'Class Name'],             // Class with optional space
+      [/\bclass\s+([A-Z][\w\d]*)\s*(.*)/i, 'Class Name'],             // class with optional space
+    ];
+    // Other kinds, matched case-sensitively: "Enumeration Color", "Interface IWidget: ..."
+    const kindPatterns = CHMJsonExtractor.TEXT_KIND_WORDS.split('|').map(word => [
+      [new RegExp(`\\b${word}\\s+([A-Z]\\w*)\\s*:\\s*(.*)`), this.kindOf(word), `${word} Name: description`],
+      [new RegExp(`\\b${word}\\s+([A-Z]\\w*)\\s*(.*)`), this.kindOf(word), `${word} Name description`]
+    ]);
+    // The profile's title layout goes first; its named groups give the name, kind and description
+    const titled = this.currentProfile().textPattern;
+    const patterns = [
+      ...(titled ? [[titled, null, `${this.currentProfile().name} title`]] : []),
+      ...classPatterns.map(([pattern, label]) => [pattern, 'Class', label]),
+      ...[].concat(...kindPatterns)
     ];
 
     for (let i = 0; i < lines.length; i++) {
@@ -274,24 +3084,31 @@ class CHMJsonExtractor {
       // Remove HTML tags for processing but keep the content
       line = line.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
       
-      // Skip obviously non-class lines - use case-insensitive check
-      if (line.length < 6 || !line.toLowerCase().includes('class')) {
+      // Skip lines that name no kind - "class" in any case, other kinds capitalised
+      if (line.length < 6 || (!line.toLowerCase().includes('class') && !CHMJsonExtractor.TEXT_KIND_PATTERN.test(line) &&
+        !(titled && titled.test(line)))) {
         continue;
       }
       
-      for (const pattern of classPatterns) {
+      for (const [pattern, patternType, label] of patterns) {
         const match = line.match(pattern);
-        if (match && match[1] && match[1].length > 1) { // Ensure we have a real class name
-          const name = match[1].trim();
-          let description = (match[2] || '').trim();
+        const found = match && (match.groups ? match.groups.name : match[1]);
+        if (found && found.length > 1) { // Ensure we have a real class name
+          const name = found.trim();
+          const type = match.groups ? this.kindOf(match.groups.kind) : patternType;
+          let description = ((match.groups ? match.groups.description : match[2]) || '').trim();
 
           // Skip if the "class name" looks like it's part of other text or is a common word
-          if (name.length < 2 || name === 'Class' || 
+          if (name.length < 2 || name === 'Class' || name === type || 
               ['definitions', 'definition', 'text', 'without', 'any', 'some', 'regular', 'just', 'manages', 'files', 'content', 'other', 'here'].includes(name.toLowerCase())) {
             continue;
           }
 
-          // Collect multi-line description
+          // Collect multi-line description, keeping the HTML it came from for Markdown
+          const firstLine = i + 1;
+          const firstWord = description.split(' ')[0];
+          const from = firstWord ? lines[i].indexOf(firstWord, Math.max(lines[i].indexOf(name), 0) + name.length) : -1;
+          const source = [from >= 0 ? lines[i].slice(from) : ''];
           let nextLineIndex = i + 1;
           while (
             nextLineIndex < lines.length &&
@@ -302,6 +3119,7 @@ class CHMJsonExtractor {
             nextLine = nextLine.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ');
             if (nextLine.length > 0 && !nextLine.match(/^<\w+>.*<\/\w+>$/)) { // Skip pure HTML tags
               description += ' ' + nextLine;
+              source.push(lines[nextLineIndex]);
             }
             nextLineIndex++;
           }
@@ -316,13 +3134,24 @@ class CHMJsonExtractor {
           if (name && name.length > 1) {
             // Provide default description if none exists
             if (!description || description.length === 0) {
-              description = `${name} class`;
+              description = `${name} ${type.toLowerCase()}`;
             }
-            entries.push({ 
-              type: 'Class', 
+            const entry = { 
+              type, 
               name, 
-              description: description.substring(0, 500) // Limit description length
-            });
+              description: this.limitDescription(description) // Limit description length unless turned off
+            };
+            if (this.descriptionFormat === 'markdown') {
+              entry.descriptionMarkdown = this.markdownFromHTML(source.join('\n')) || description;
+            }
+            // Lines of the text this method was given; raw-scan lines map back to byte offsets
+            entry.source = {
+              path: origin.path || null,
+              offset: origin.offsets && origin.offsets.length >= firstLine ? origin.offsets[firstLine - 1] : null,
+              lines: [firstLine, nextLineIndex],
+              rule: label
+            };
+            entries.push(entry);
           }
           break; // Found a match, no need to try other patterns
         }
@@ -336,7 +3165,10 @@ class CHMJsonExtractor {
     if (!line) return false;
     const cleanLine = line.replace(/<[^>]*>/g, ' ').trim();
     // More specific pattern to avoid false positives like "This class manages..."
-    return /^\s*\bClass\s+[A-Z][\w\d]*/i.test(cleanLine) || /^\s*\bCLASS\s+[A-Z][\w\d]*/i.test(cleanLine);
+    const titled = this.currentProfile().textPattern;
+    return /^\s*\bClass\s+[A-Z][\w\d]*/i.test(cleanLine) || /^\s*\bCLASS\s+[A-Z][\w\d]*/i.test(cleanLine) ||
+      new RegExp(`^\\s*(?:${CHMJsonExtractor.TEXT_KIND_WORDS})\\s+[A-Z]\\w*`).test(cleanLine) ||
+      Boolean(titled && titled.test(cleanLine.trim()));
   }
 
   previewJSON(json) {
@@ -347,33 +3179,396 @@ class CHMJsonExtractor {
     }
   }
 
-  downloadJSON() {
-    if (!this.jsonData || !this.jsonData.length) return;
+  previewClicked() {
+    // The caret lands where the preview was clicked; the entry around it is the one to show
+    const pre = document.getElementById('jsonPreview');
+    const selection = window.getSelection();
+    if (!pre || !selection || !selection.anchorNode || !pre.contains(selection.anchorNode)) return;
+    const entry = this.entryAtPreviewOffset(pre.textContent, selection.anchorOffset);
+    if (entry) this.showSource(entry);
+  }
+
+  entryAtPreviewOffset(text, offset) {
+    // Entries' own keys sit 6 spaces deep in the flat list and 10 under a namespace; count those opening "type" keys
+    const indent = this.groupByNamespace ? 10 : 6;
+    const lineEnd = text.indexOf('\n', offset);
+    const lines = text.slice(0, lineEnd === -1 ? text.length : lineEnd).split('\n');
+    // Only lines inside the entry list count: the metadata before it and the topics and conflicts after it belong to no entry
+    const list = lines.findIndex(line => /^ {2}"(?:entries|namespaces)": /.test(line));
+    if (list === -1 || lines.slice(list + 1).some(line => /^ {2}"/.test(line))) return null;
+    const starts = lines.map((line, i) => (new RegExp(`^ {${indent}}"type": `).test(line) ? i : -1)).filter(i => i >= 0);
+    // The opening brace belongs to the entry below it
+    const onBrace = new RegExp(`^ {${indent - 2}}\\{$`).test(lines[lines.length - 1]);
+    const shown = this.groupByNamespace
+      ? [].concat(...this.groupEntriesByNamespace(this.selectedEntries()).map(group => group.entries))
+      : this.selectedEntries();
+    return shown[starts.length - (onBrace ? 0 : 1)] || null;
+  }
+
+  showSource(entry) {
+    // The topic (or raw-scan text) the entry came from, with its lines marked
+    const panel = document.getElementById('sourcePanel');
+    const view = document.getElementById('sourceView');
+    const caption = document.getElementById('sourceCaption');
+    const source = entry && entry.source;
+    let text;
+    try {
+      text = source ? this.sourceText(source) : null;
+    } catch (error) {
+      // An unreadable topic (a corrupt compressed block) still opens the panel, saying why it is empty
+      if (!panel || !view || !caption) return;
+      view.textContent = '';
+      console.warn(`Could not read ${source.path}:`, error);
+      caption.textContent = `${source.path} is unavailable: ${error.message}`;
+      panel.style.display = 'block';
+      panel.open = true;
+      return;
+    }
+    if (!panel || !view || !caption || text === null) return;
+
+    const lines = text.split('\n');
+    const [first, last] = source.lines || [lines.length + 1, lines.length];
+    const mark = document.createElement('mark');
+    mark.textContent = lines.slice(first - 1, last).join('\n');
+    view.replaceChildren(
+      document.createTextNode(lines.slice(0, first - 1).join('\n') + (first > 1 ? '\n' : '')),
+      mark,
+      document.createTextNode((last < lines.length ? '\n' : '') + lines.slice(last).join('\n'))
+    );
+    const place = source.path || `byte offset ${source.offset}`;
+    caption.textContent = `${place}${source.lines ? `, lines ${first}–${last}` : ''} (${source.rule})`;
+    panel.style.display = 'block';
+    panel.open = true;
+    if (mark.scrollIntoView) mark.scrollIntoView({ block: 'center' });
+  }
+
+  sourceText(source) {
+    // A topic from the loaded pages or the directory; without a path, the raw-scan text the lines count in
+    if (!source.path) return this.rawText || null;
+    const page = this.pages.find(topic => topic.path === source.path);
+    if (page) return page.text;
+    const entry = this.directory && this.findDirectoryEntry(this.directory, source.path);
+    return entry ? this.decodeText(this.readDirectoryFile(this.buffer, this.directory, entry)) : null;
+  }
+
+  buildJSONDocument() {
+    // Envelope so downstream tooling knows which help file the entries came from
+    if (this.extractionMode === 'topics') {
+      return {
+        source: this.file ? this.file.name : null,
+        metadata: this.metadata || this.readMetadata(null, null),
+        pages: this.jsonData || []
+      };
+    }
+    return {
+      source: this.file ? this.file.name : null,
+      metadata: this.metadata || this.readMetadata(null, null),
+      profile: { id: this.currentProfile().id, name: this.currentProfile().name, forced: Boolean(this.profileOverride) },
+      ...(this.groupByNamespace
+        ? { namespaces: this.groupEntriesByNamespace(this.selectedEntries()) }
+        : { entries: this.selectedEntries() }),
+      topics: this.topics || [],
+      conflicts: this.conflicts || []
+    };
+  }
 
-    const blob = new Blob([JSON.stringify(this.jsonData, null, 2)], { type: 'application/json' });
+  groupEntriesByNamespace(entries) {
+    // Namespaces in name order; types outside any namespace come first, under null
+    const groups = new Map();
+    entries.forEach(entry => {
+      const namespace = entry.namespace || null;
+      if (!groups.has(namespace)) groups.set(namespace, []);
+      groups.get(namespace).push(entry);
+    });
+    return Array.from(groups.keys())
+      .sort((a, b) => (a === null ? -1 : b === null ? 1 : a.localeCompare(b)))
+      .map(namespace => ({ namespace, entries: groups.get(namespace) }));
+  }
+
+  buildTypeGraph(entries) {
+    // Adjacency list from each type to its base type and interfaces; names resolve to extracted types where they can
+    const index = this.indexTypes(entries);
+    const resolve = typeName => {
+      const [match] = this.findTypes(index, typeName);
+      return match ? match.fullName : typeName;
+    };
+    const adjacency = {};
+    const addEdge = (from, to, relation) => {
+      const edges = adjacency[from] || (adjacency[from] = []);
+      if (!edges.some(edge => edge.type === to && edge.relation === relation)) edges.push({ type: to, relation });
+    };
+
+    entries.forEach(entry => {
+      if (entry.baseType) addEdge(entry.fullName, resolve(entry.baseType), 'inherits');
+      (entry.interfaces || []).forEach(name => addEdge(entry.fullName, resolve(name), 'implements'));
+      (entry.derivedTypes || []).forEach(name => addEdge(resolve(name), entry.fullName, 'inherits'));
+    });
+
+    const extracted = new Set(entries.map(entry => entry.fullName));
+    const names = new Set(Object.keys(adjacency));
+    Object.values(adjacency).forEach(edges => edges.forEach(edge => names.add(edge.type)));
+    const types = Array.from(names).sort().map(name => ({ name, extracted: extracted.has(name) }));
+    return { source: this.file ? this.file.name : null, types, adjacency };
+  }
+
+  toDOT(graph) {
+    // UML-style arrows: solid for inheritance, dashed for interfaces; types not in this CHM are grey
+    const quote = name => `"${name.replace(/[\\"]/g, '\\$&')}"`;
+    const lines = ['digraph types {', '  rankdir=BT;', '  node [shape=box, fontname="Helvetica"];'];
+    graph.types.forEach(type => {
+      lines.push(`  ${quote(type.name)}${type.extracted ? '' : ' [color=gray, fontcolor=gray]'};`);
+    });
+    Object.entries(graph.adjacency).forEach(([from, edges]) => edges.forEach(edge => {
+      const style = edge.relation === 'implements' ? 'style=dashed, arrowhead=empty' : 'arrowhead=empty';
+      lines.push(`  ${quote(from)} -> ${quote(edge.type)} [${style}];`);
+    }));
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  saveFile(content, type, fileName) {
+    const blob = new Blob([content], { type });
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
-    a.download = 'chm_api.json';
+    a.download = fileName;
     a.click();
   }
 
+  buildZip(files, timestamp) {
+    // Stored (uncompressed) entries keep this dependency-free; CHM images are already compressed anyway
+    const encoder = new TextEncoder();
+    const date = new Date(timestamp || Date.UTC(1980, 0, 1));
+    const dosTime = (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1);
+    const dosDate = ((Math.max(date.getUTCFullYear(), 1980) - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    files.forEach(file => {
+      const name = encoder.encode(file.path);
+      const crc = this.crc32(file.data);
+
+      // Local file header; flag bit 11 marks UTF-8 names
+      const local = new Uint8Array(30 + name.length);
+      const localView = new DataView(local.buffer);
+      localView.setUint32(0, 0x04034B50, true);
+      localView.setUint16(4, 10, true);
+      localView.setUint16(6, 0x0800, true);
+      localView.setUint16(10, dosTime, true);
+      localView.setUint16(12, dosDate, true);
+      localView.setUint32(14, crc, true);
+      localView.setUint32(18, file.data.length, true);
+      localView.setUint32(22, file.data.length, true);
+      localView.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      const central = new Uint8Array(46 + name.length);
+      const centralView = new DataView(central.buffer);
+      centralView.setUint32(0, 0x02014B50, true);
+      centralView.setUint16(4, 20, true);
+      centralView.setUint16(6, 10, true);
+      centralView.setUint16(8, 0x0800, true);
+      centralView.setUint16(12, dosTime, true);
+      centralView.setUint16(14, dosDate, true);
+      centralView.setUint32(16, crc, true);
+      centralView.setUint32(20, file.data.length, true);
+      centralView.setUint32(24, file.data.length, true);
+      centralView.setUint16(28, name.length, true);
+      centralView.setUint32(42, offset, true);
+      central.set(name, 46);
+
+      localParts.push(local, file.data);
+      centralParts.push(central);
+      offset += local.length + file.data.length;
+    });
+
+    const centralLength = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralLength, true);
+    endView.setUint32(16, offset, true);
+
+    const zip = new Uint8Array(offset + centralLength + end.length);
+    let pos = 0;
+    [...localParts, ...centralParts, end].forEach(part => {
+      zip.set(part, pos);
+      pos += part.length;
+    });
+    return zip;
+  }
+
+  crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CHMJsonExtractor.CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  toCSVField(value) {
+    return `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+  }
+
+  downloadJSON() {
+    if (!this.jsonData || !this.jsonData.length) return;
+
+    const name = this.extractionMode === 'topics' ? 'chm_topics.json' : 'chm_api.json';
+    this.saveFile(JSON.stringify(this.buildJSONDocument(), null, 2), 'application/json', name);
+  }
+
+  downloadAllFiles() {
+    if (!this.buffer || !this.directory) return;
+
+    // Paths keep the CHM's folder tree, minus the leading slash
+    const files = [];
+    for (const entry of this.listInternalFiles(this.directory)) {
+      const path = this.zipEntryName(entry.path);
+      if (!path) {
+        console.warn(`Skipped ${entry.path}: it points outside the archive`);
+        continue;
+      }
+      try {
+        files.push({ path, data: this.readDirectoryFile(this.buffer, this.directory, entry) });
+      } catch (error) {
+        console.warn(`Could not read ${entry.path}:`, error);
+      }
+    }
+    this.saveFile(this.buildZip(files, this.metadata && this.metadata.timestamp), 'application/zip', 'chm_files.zip');
+  }
+
+  zipEntryName(path) {
+    // Resolve "." and ".." so a crafted CHM can't write outside the folder it is unpacked into
+    const parts = [];
+    for (const part of path.split(/[\\/]+/)) {
+      if (part === '..') {
+        if (!parts.length) return null;
+        parts.pop();
+      } else if (part && part !== '.') {
+        parts.push(part);
+      }
+    }
+    if (!parts.length || /^[A-Za-z]:$/.test(parts[0])) return null;
+    return parts.join('/');
+  }
+
+  downloadDiagnostics() {
+    if (!this.diagnostics) return;
+
+    const report = { source: this.file ? this.file.name : null, ...this.diagnostics };
+    this.saveFile(JSON.stringify(report, null, 2), 'application/json', 'chm_diagnostics.json');
+  }
+
+  downloadTOC() {
+    if (!this.toc || !this.toc.length) return;
+
+    const toc = { source: this.file ? this.file.name : null, toc: this.toc };
+    this.saveFile(JSON.stringify(toc, null, 2), 'application/json', 'chm_toc.json');
+  }
+
+  downloadIndexJSON() {
+    if (!this.index || !this.index.length) return;
+
+    const index = { source: this.file ? this.file.name : null, index: this.index };
+    this.saveFile(JSON.stringify(index, null, 2), 'application/json', 'chm_index.json');
+  }
+
+  downloadSearchIndex() {
+    if (!this.searchIndex || !this.searchIndex.length) return;
+
+    // No prototype: "constructor" is a word in most API indexes
+    const words = Object.create(null);
+    this.searchIndex.forEach(({ word, inTitle, occurrences }) => {
+      const record = words[word] || (words[word] = { inTitle: false, occurrences: [] });
+      record.inTitle = record.inTitle || inTitle;
+      record.occurrences.push(...occurrences);
+    });
+
+    // What the original search would return for each extracted name, for comparison with our entries
+    // Page records in All topics mode have no names to look up
+    const entries = this.extractionMode === 'topics' ? [] : this.jsonData || [];
+    const entryHits = entries.map(entry => {
+      const record = words[entry.name.toLowerCase()];
+      return { name: entry.name, hits: record ? record.occurrences.map(o => o.local) : [] };
+    });
+
+    const search = { source: this.file ? this.file.name : null, words, entryHits };
+    this.saveFile(JSON.stringify(search, null, 2), 'application/json', 'chm_search.json');
+  }
+
+  collectExamples(entries) {
+    // One record per example, linked to its type and, for a member's example, the member
+    const records = [];
+    entries.forEach(entry => {
+      (entry.examples || []).forEach(example => records.push({ type: entry.fullName, member: null, ...example }));
+      (entry.members || []).forEach(member => (member.examples || []).forEach(example => {
+        records.push({ type: entry.fullName, member: member.name, ...example });
+      }));
+    });
+    return records;
+  }
+
+  downloadExamples() {
+    const examples = this.collectExamples(this.selectedEntries());
+    if (!examples.length) return;
+    const document = { source: this.file ? this.file.name : null, examples };
+    this.saveFile(JSON.stringify(document, null, 2), 'application/json', 'chm_examples.json');
+  }
+
+  downloadTypeGraph() {
+    const graph = this.buildTypeGraph(this.selectedEntries());
+    if (!Object.keys(graph.adjacency).length) return;
+    this.saveFile(JSON.stringify(graph, null, 2), 'application/json', 'chm_types.json');
+  }
+
+  downloadTypeGraphDOT() {
+    const graph = this.buildTypeGraph(this.selectedEntries());
+    if (!Object.keys(graph.adjacency).length) return;
+    this.saveFile(this.toDOT(graph), 'text/vnd.graphviz', 'chm_types.dot');
+  }
+
+  downloadIndexCSV() {
+    if (!this.index || !this.index.length) return;
+
+    // One row per target; sub-keywords are flattened under their parent keyword
+    const csvRows = ['Keyword,Subkeyword,Title,Local,Classes'];
+    const addRows = (record, keyword, subkeyword) => {
+      const targets = record.targets.length ? record.targets : [{ title: '', local: '' }];
+      targets.forEach(target => {
+        csvRows.push([keyword, subkeyword, target.title, target.local, record.classes.join(';')]
+          .map(value => this.toCSVField(value)).join(','));
+      });
+      record.subkeywords.forEach(child => addRows(child, keyword, subkeyword ? `${subkeyword}, ${child.keyword}` : child.keyword));
+    };
+    this.index.forEach(record => addRows(record, record.keyword, ''));
+
+    this.saveFile(csvRows.join('\n'), 'text/csv', 'chm_index.csv');
+  }
+
   downloadCSV() {
     if (!this.jsonData || !this.jsonData.length) return;
 
-    const csvRows = ['Type,Name,Description'];
-    this.jsonData.forEach(row => {
+    if (this.extractionMode === 'topics') {
+      const pages = this.jsonData.map(page => [page.path, page.title, page.tocPosition, page.body].map(field => this.toCSVField(field)).join(','));
+      return this.saveFile(['Path,Title,TOC position,Body', ...pages].join('\n'), 'text/csv', 'chm_topics.csv');
+    }
+
+    const csvRows = ['Type,Name,Description,Namespace'];
+    const rows = this.groupByNamespace
+      ? [].concat(...this.groupEntriesByNamespace(this.selectedEntries()).map(group => group.entries))
+      : this.selectedEntries();
+    rows.forEach(row => {
       csvRows.push([
         row.type,
-        `"${row.name}"`,
-        `"${row.description.replace(/"/g, '""')}"`
+        this.toCSVField(row.name),
+        this.toCSVField(row.description),
+        this.toCSVField(row.namespace)
       ].join(','));
     });
 
-    const blob = new Blob([csvRows.join('\n')], { type: 'text/csv' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = 'chm_api.csv';
-    a.click();
+    this.saveFile(csvRows.join('\n'), 'text/csv', 'chm_api.csv');
   }
 }
 
@@ -382,9 +3577,183 @@ if (typeof document !== 'undefined' && document.addEventListener) {
   document.addEventListener('DOMContentLoaded', () => new CHMJsonExtractor());
 }
 
+// Topic titles that name a type: "Widget Class", "List<T> Class", "Color Enumeration", "Interface IWidget"
+CHMJsonExtractor.TYPE_TITLE_PATTERN = /^(?:([A-Za-z_](?:[\w.]|::)*(?:[<(][\w\s,]*[>)])?)\s+(Class|Interface|Structure|Struct|Enumeration|Enum|Delegate|CoClass|Module|Function)(?:\s+Reference)?|(Class|Interface|Structure|Struct|Enumeration|Enum|Delegate|CoClass|Module|Function)\s+([A-Za-z_](?:[\w.]|::)*))$/i;
+// Entry kinds, with the words titles and declarations use for them
+CHMJsonExtractor.TYPE_KINDS = [
+  { type: 'Class', words: ['class'] },
+  { type: 'Interface', words: ['interface'] },
+  { type: 'Struct', words: ['structure', 'struct'] },
+  { type: 'Enum', words: ['enumeration', 'enum'] },
+  { type: 'Delegate', words: ['delegate'] },
+  { type: 'CoClass', words: ['coclass'] },
+  { type: 'Module', words: ['module'] },
+  { type: 'Function', words: ['function'] }
+];
+// Capitalised keywords for kinds other than classes in raw text
+CHMJsonExtractor.TEXT_KIND_WORDS = 'Interface|Structure|Struct|Enumeration|Enum|Delegate|CoClass|Module|Function';
+CHMJsonExtractor.TEXT_KIND_PATTERN = new RegExp(`\\b(?:${CHMJsonExtractor.TEXT_KIND_WORDS})\\s+[A-Z]`);
+// "Widgets.Drawing Namespace", "Namespace Widgets", "com.example Package": TOC nodes that group a namespace's topics
+CHMJsonExtractor.NAMESPACE_TITLE_PATTERN = /^(?:([A-Za-z_]\w*(?:(?:\.|::)\w+)*)\s+(?:Namespace|Package)(?:\s+Reference)?|(?:Namespace|Package)\s+([A-Za-z_]\w*(?:(?:\.|::)\w+)*))$/i;
+// "Widget Members", "Widget Class Members", "Widget Methods": pages that only list a class's members
+CHMJsonExtractor.MEMBERS_TITLE_PATTERN = /^([A-Za-z_]\w*)(?:\s+(?:Class|Structure|Interface))?\s+(?:Members|Methods|Properties|Events|Fields)$/i;
+// Member kinds by table or section label, most specific first ("Public Member Functions" is a method list)
+CHMJsonExtractor.MEMBER_KINDS = [
+  [/constructors?\b/i, 'constructor'],
+  [/propert(?:y|ies)\b/i, 'property'],
+  [/\bevents?\b/i, 'event'],
+  [/\b(?:fields?|attributes|variables)\b/i, 'field'],
+  [/\boperators?\b/i, 'operator'],
+  [/\b(?:methods?|functions)\b/i, 'method'],
+  [/\bmembers\b/i, 'member']
+];
+// Section headings across generators: plain h1-h6, Sandcastle's .sectionTitle and .heading
+CHMJsonExtractor.SECTION_HEADINGS = 'h1, h2, h3, h4, h5, h6, .sectionTitle, .heading';
+// Interface names by .NET and COM convention: IDisposable, IUnknown
+CHMJsonExtractor.INTERFACE_NAME = /^I[A-Z]\w*/;
+// Labels of the lists that name a type's bases, interfaces and derived types (Javadoc, Doxygen, Sandcastle)
+CHMJsonExtractor.TYPE_LIST_LABELS = [
+  [/^(?:All )?(?:Implemented Interfaces|Superinterfaces|Implements)$/i, 'interfaces'],
+  [/^(?:Direct Known Subclasses|All Known Implementing Classes|Inherited by|Implemented by|Derived Types)$/i, 'derived'],
+  [/^(?:Inherits|All Superclasses)$/i, 'inherits']
+];
+// Language labels on Syntax blocks: tab and heading text, or Sandcastle's codeLanguage attribute
+CHMJsonExtractor.SYNTAX_LANGUAGES = [
+  [/^(?:C#|CSharp|cs)$/i, 'C#'],
+  [/^(?:Visual Basic|VB)\s*\(Usage\)$|^VisualBasicUsage$/i, 'Visual Basic (Usage)'],
+  [/^(?:Visual Basic|VisualBasic|VB|VB\.NET|vbnet)(?:\s*\(Declaration\))?$/i, 'Visual Basic'],
+  [/^(?:Visual C\+\+|C\+\+|ManagedCPlusPlus|CPlusPlus|cpp)$/i, 'C++'],
+  [/^(?:F#|FSharp)$/i, 'F#'],
+  [/^(?:J#|JSharp)$/i, 'J#'],
+  [/^(?:JScript|JScript\.NET|js)$/i, 'JScript'],
+  [/^JavaScript$/i, 'JavaScript'],
+  [/^XAML$/i, 'XAML']
+];
+// A type's own declaration, which Javadoc sets in a <pre> like a code sample
+CHMJsonExtractor.DECLARATION_PATTERN = /^\s*(?:@\w+(?:\([^)]*\))?\s+)*(?:(?:public|protected|private|abstract|final|static|sealed|partial)\s+)*(?:class|interface|enum|@interface|struct)\s+[A-Za-z_]\w*[^;{]*$/;
+// Section titles (lowercase, without a trailing colon) of a member's parameters, return value and exceptions
+CHMJsonExtractor.DETAIL_SECTIONS = {
+  parameters: ['parameters', 'parameter'],
+  returns: ['return value', 'returns', 'return', 'property value', 'field value'],
+  exceptions: ['exceptions', 'exception', 'throws']
+};
+// Declaration keywords that come before a member's type
+CHMJsonExtractor.SIGNATURE_MODIFIERS = /^(?:public|protected|private|internal|static|virtual|override|abstract|sealed|extern|final|synchronized|native|inline|explicit|unsafe|new|async|partial|readonly|volatile|transient|default|function|event|delegate)\b:?$/;
+// Bytes read per block when scanning a file whose directory can't be read
+CHMJsonExtractor.SCAN_CHUNK_SIZE = 4096;
+// Source rules of entries read from a topic's own document rather than a text pattern
+CHMJsonExtractor.DOCUMENT_RULES = ['topic title', 'Syntax declaration', 'topic catalogue title'];
+// Starting confidence by source rule: a topic's own title and user rules are surest, a bare "Class Name" in text least
+CHMJsonExtractor.RULE_CONFIDENCE = [
+  [/^(?:topic title|rule ".*")$/, 0.9],
+  [/^Syntax declaration$/, 0.85],
+  [/^topic catalogue title$/, 0.8],
+  [/ title$/, 0.75],
+  [/^<h1>/, 0.7],
+  [/ Name(?:: description| \(description\))$/, 0.6],
+  [/ Name description$/, 0.5],
+  [/ Name$/, 0.4]
+];
+// Characters kept of each plain-text description while the limit is on
+CHMJsonExtractor.DESCRIPTION_LIMIT = 500;
+// Milliseconds the rules editor waits after the last keystroke before previewing
+CHMJsonExtractor.RULES_PREVIEW_DELAY = 400;
+// Generators that produce CHMs. markers and files recognise a generator's topics by their markup and file names;
+// skipTopics are its listing and member pages, never a type's own topic; textPattern is how it titles a type in plain text
+CHMJsonExtractor.PROFILES = [
+  {
+    id: 'sandcastle',
+    name: 'Sandcastle',
+    markers: /<meta\s+name="(?:Microsoft\.Help\.|MSHelp\.|container")|<MSHelp:|Sandcastle/i,
+    files: /(?:^|\/)[TMPEFNO]_[^/]+\.html?$/i,
+    skipTopics: /(?:^|\/)[MPEFNO]_[^/]+\.html?$/i,
+    textPattern: /^(?<name>[A-Z][\w.]*(?:\([\w\s,]*\))?)\s+(?<kind>Class|Interface|Structure|Enumeration|Delegate|Module)\b\s*(?<description>.*)/
+  },
+  {
+    id: 'ndoc',
+    name: 'NDoc',
+    markers: /<meta\s+name="generator"\s+content="NDoc|<div\s+id="nstext"/i,
+    files: /(?:Members|Methods|Properties|Events|Fields|Constructor|Hierarchy)\.html?$/i,
+    skipTopics: /(?:Members|Methods|Properties|Events|Fields|Constructors?|Hierarchy|_overloads?)\.html?$/i,
+    textPattern: /^(?<name>[A-Z][\w.]*)\s+(?<kind>Class|Interface|Structure|Enumeration|Delegate)\b\s*(?<description>.*)/
+  },
+  {
+    id: 'doxygen',
+    name: 'Doxygen',
+    markers: /<meta\s+name="generator"\s+content="Doxygen|<!--\s*Generated by Doxygen/i,
+    files: /(?:^|\/)(?:class|struct|union|interface|namespace)[\w-]*\.html$|(?:^|\/)(?:annotated\.html|doxygen\.css)$/i,
+    skipTopics: /-members\.html$|_source\.html$|(?:^|\/)(?:index|annotated|hierarchy|classes|files|pages|modules|functions\w*|globals\w*|namespacemembers\w*)\.html$/i,
+    textPattern: /^(?<name>[A-Za-z_][\w:]*)\s+(?<kind>Class|Struct|Interface)\s+Reference\b\s*(?<description>.*)/
+  },
+  {
+    id: 'javadoc',
+    name: 'Javadoc',
+    markers: /<!--\s*Generated by javadoc|<meta\s+name="generator"\s+content="javadoc/i,
+    files: /(?:^|\/)(?:allclasses-frame|allclasses-noframe|package-summary|package-frame|overview-tree|package-tree)\.html$/i,
+    skipTopics: /(?:^|\/)(?:class-use|index-files)\/|(?:^|\/)(?:package-[\w-]+|allclasses[\w-]*|overview-[\w-]+|index-all|constant-values|deprecated-list|serialized-form|help-doc)\.html$/i,
+    textPattern: /^(?<kind>Class|Interface|Enum)\s+(?<name>[A-Za-z_][\w.]*)\b\s*(?<description>.*)/
+  },
+  {
+    // Hand-written projects: no markers to go on, only the "Class Widget  description" layout
+    id: 'htmlhelp',
+    name: 'HTML Help Workshop',
+    markers: null,
+    files: null,
+    skipTopics: null,
+    textPattern: null
+  }
+];
+// The two GUIDs every ITSF header carries at 0x18 and 0x28
+CHMJsonExtractor.ITSF_GUIDS = ['{7C01FD10-7BAA-11D0-9E0C-00A0C922E6EC}', '{7C01FD11-7BAA-11D0-9E0C-00A0C922E6EC}'];
+// Windows ANSI codepage for each primary language ID (LCID & 0x3FF); anything else is 1252
+CHMJsonExtractor.LANGUAGE_CODEPAGES = {
+  0x01: 'windows-1256', // Arabic
+  0x02: 'windows-1251', // Bulgarian
+  0x04: 'gbk', // Chinese (PRC, Singapore)
+  0x05: 'windows-1250', // Czech
+  0x08: 'windows-1253', // Greek
+  0x0D: 'windows-1255', // Hebrew
+  0x0E: 'windows-1250', // Hungarian
+  0x11: 'shift_jis', // Japanese
+  0x12: 'euc-kr', // Korean
+  0x15: 'windows-1250', // Polish
+  0x18: 'windows-1250', // Romanian
+  0x19: 'windows-1251', // Russian
+  0x1A: 'windows-1250', // Croatian
+  0x1B: 'windows-1250', // Slovak
+  0x1C: 'windows-1250', // Albanian
+  0x1E: 'windows-874', // Thai
+  0x1F: 'windows-1254', // Turkish
+  0x20: 'windows-1256', // Urdu
+  0x22: 'windows-1251', // Ukrainian
+  0x23: 'windows-1251', // Belarusian
+  0x24: 'windows-1250', // Slovenian
+  0x25: 'windows-1257', // Estonian
+  0x26: 'windows-1257', // Latvian
+  0x27: 'windows-1257', // Lithuanian
+  0x29: 'windows-1256', // Farsi
+  0x2A: 'windows-1258', // Vietnamese
+  0x2F: 'windows-1251' // Macedonian
+};
+// Sublanguages whose script differs from the rest of their language
+CHMJsonExtractor.LCID_CODEPAGES = {
+  0x0404: 'big5', // Chinese (Taiwan)
+  0x0C04: 'big5', // Chinese (Hong Kong)
+  0x1404: 'big5', // Chinese (Macau)
+  0x0C1A: 'windows-1251', // Serbian (Cyrillic)
+  0x1C1A: 'windows-1251' // Bosnian/Serbian (Cyrillic)
+};
+// CRC-32 (IEEE 802.3) lookup table for ZIP entries
+CHMJsonExtractor.CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
 // Export for Node.js testing environment
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = CHMJsonExtractor;
+  module.exports.LZXDecoder = LZXDecoder;
 }
 
 // Export for ES modules
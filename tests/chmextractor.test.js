@@ -136,7 +136,8 @@ describe('CHMJsonExtractor', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'TestClass',
-        description: 'This is a test class description'
+        description: 'This is a test class description',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name description' }
       });
     });
 
@@ -148,7 +149,8 @@ describe('CHMJsonExtractor', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'TestClass',
-        description: 'This is a test class description'
+        description: 'This is a test class description',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name: description' }
       });
     });
 
@@ -160,7 +162,8 @@ describe('CHMJsonExtractor', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'TestClass',
-        description: 'some description'
+        description: 'some description',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name description' }
       });
     });
 
@@ -175,12 +178,14 @@ Class SecondClass Second class description`;
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'FirstClass',
-        description: 'First class description'
+        description: 'First class description',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name description' }
       });
       expect(result[1]).toEqual({
         type: 'Class',
         name: 'SecondClass',
-        description: 'Second class description'
+        description: 'Second class description',
+        source: { path: null, offset: null, lines: [3, 3], rule: 'Class Name description' }
       });
     });
 
@@ -357,7 +362,7 @@ Class NextClass Next description`;
       extractor.downloadCSV();
       
       expect(mockBlob).toHaveBeenCalledWith(
-        ['Type,Name,Description\nClass,"TestClass","Description with ""quotes"""'],
+        ['Type,Name,Description,Namespace\nClass,"TestClass","Description with ""quotes""",""'],
         { type: 'text/csv' }
       );
     });
@@ -20,7 +20,8 @@ describe('CHMJsonExtractor - Class Detection Improvements', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'MyClass',
-        description: 'MyClass class'
+        description: 'MyClass class',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name' }
       });
     });
 
@@ -32,7 +33,8 @@ describe('CHMJsonExtractor - Class Detection Improvements', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'Button',
-        description: 'OK'
+        description: 'OK',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name description' }
       });
     });
 
@@ -60,7 +62,8 @@ describe('CHMJsonExtractor - Class Detection Improvements', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'MyWidget',
-        description: 'widget description'
+        description: 'widget description',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name: description' }
       });
     });
 
@@ -114,7 +117,8 @@ describe('CHMJsonExtractor - Class Detection Improvements', () => {
       expect(result[0]).toEqual({
         type: 'Class',
         name: 'TestClass',
-        description: 'This is a longer description that should work'
+        description: 'This is a longer description that should work',
+        source: { path: null, offset: null, lines: [1, 1], rule: 'Class Name description' }
       });
     });
   });
@@ -94,7 +94,7 @@ describe('CHM Converter Integration Tests', () => {
       expect(extractor.validateCHM).toHaveBeenCalled();
       expect(extractor.extractCHMContent).toHaveBeenCalled();
       expect(extractor.previewJSON).toHaveBeenCalled();
-      expect(extractor.showStatus).toHaveBeenCalledWith('✅ Extraction successful! Found 1 class definitions.', 'success');
+      expect(extractor.showStatus).toHaveBeenCalledWith('✅ Extraction successful! Found 1 API definitions.', 'success');
     });
 
     test('should reject non-CHM files', async () => {
@@ -121,7 +121,7 @@ describe('CHM Converter Integration Tests', () => {
 
       await extractor.loadFile(mockFile);
 
-      expect(extractor.showStatus).toHaveBeenCalledWith('Invalid CHM format (missing ITSF signature or corrupted header).', 'error');
+      expect(extractor.showStatus).toHaveBeenCalledWith('Invalid CHM format: File is 8 bytes, too short for an ITSF header.', 'error');
     });
 
     test('should show download buttons after successful extraction', async () => {
@@ -164,17 +164,17 @@ describe('CHM Converter Integration Tests', () => {
     test('should scan for text content as fallback', () => {
       const mockBuffer = createMockBufferWithText('Class LargeClass  Large description');
       
-      const result = extractor.scanForTextContent(mockBuffer);
+      const result = extractor.scanChunks(mockBuffer);
       
       expect(result).toHaveLength(1);
-      expect(result[0]).toContain('Class LargeClass Large description');
+      expect(result[0].text).toContain('Class LargeClass Large description');
     });
 
-    test('should try different text encodings', () => {
+    test('should decode text with the file codepage', () => {
       const mockBuffer = createMockBufferWithText('Class TestClass  Test description');
       const chunk = new Uint8Array(mockBuffer, 0, Math.min(100, mockBuffer.byteLength));
       
-      const result = extractor.tryDecodeChunk(chunk);
+      const result = extractor.decodeText(chunk);
       
       expect(result).toContain('Class TestClass  Test description');
     });
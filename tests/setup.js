@@ -14,28 +14,11 @@ global.navigator = global.window.navigator;
 global.URL.createObjectURL = jest.fn(() => 'mock-object-url');
 global.URL.revokeObjectURL = jest.fn();
 
-// Mock TextDecoder for CHM file validation
-global.TextDecoder = global.TextDecoder || class TextDecoder {
-  decode(input) {
-    if (input instanceof Uint8Array) {
-      // Convert Uint8Array to string for testing
-      return String.fromCharCode.apply(null, Array.from(input));
-    }
-    return String(input);
-  }
-};
-
-// Mock TextEncoder for testing
-global.TextEncoder = global.TextEncoder || class TextEncoder {
-  encode(input) {
-    // Convert string to Uint8Array for testing
-    const result = new Uint8Array(input.length);
-    for (let i = 0; i < input.length; i++) {
-      result[i] = input.charCodeAt(i);
-    }
-    return result;
-  }
-};
+// jsdom lacks TextDecoder/TextEncoder; use Node's, which (with full ICU) also
+// knows the legacy codepages CHM files are written in (Shift_JIS, GBK, Big5, ...)
+const util = require('util');
+global.TextDecoder = global.TextDecoder || util.TextDecoder;
+global.TextEncoder = global.TextEncoder || util.TextEncoder;
 
 // Mock File and Blob APIs for file handling tests
 global.File = global.File || class File {
@@ -71,12 +54,51 @@ beforeEach(() => {
   document.body.innerHTML = `
     <div id="uploadArea"></div>
     <input type="file" id="fileInput" />
+    <select id="extractionMode"><option value="types">API types</option><option value="topics">All topics</option></select>
+    <select id="codepageSelect"><option value="">Auto</option><option value="shift_jis">Shift_JIS</option></select>
+    <select id="profileSelect"><option value="">Auto-detect</option><option value="doxygen">Doxygen</option></select>
+    <select id="descriptionFormat"><option value="text">Plain text</option><option value="markdown">Markdown</option></select>
+    <input type="checkbox" id="limitDescriptions" checked />
+    <input type="checkbox" id="groupByNamespace" />
+    <input type="range" id="confidenceThreshold" min="0" max="100" step="5" value="0" />
+    <output id="confidenceValue">0%</output>
+    <input type="checkbox" class="kind-option" value="Class" checked />
+    <input type="checkbox" class="kind-option" value="Enum" checked />
     <div id="status"></div>
+    <details id="diagnostics" style="display: none;">
+      <summary id="diagnosticsSummary">File diagnostics</summary>
+      <ul id="diagnosticsList"></ul>
+      <button id="downloadDiagnosticsBtn">Download diagnostics</button>
+    </details>
+    <details id="rulesPanel">
+      <textarea id="rulesEditor"></textarea>
+      <pre id="rulesPreview"></pre>
+      <button id="applyRulesBtn">Apply rules</button>
+      <button id="importRulesBtn">Import rules</button>
+      <button id="exportRulesBtn">Export rules</button>
+      <input type="file" id="rulesFileInput" />
+    </details>
+    <details id="reviewPanel" style="display: none;">
+      <summary id="reviewSummary">Low-confidence entries</summary>
+      <ul id="reviewList"></ul>
+    </details>
     <div id="downloadButtons" style="display: none;">
       <button id="downloadBtn">Download JSON</button>
       <button id="downloadCSVBtn">Download CSV</button>
+      <button id="downloadTOCBtn" style="display: none;">Download TOC</button>
+      <button id="downloadIndexBtn" style="display: none;">Download Index JSON</button>
+      <button id="downloadIndexCSVBtn" style="display: none;">Download Index CSV</button>
+      <button id="downloadSearchBtn" style="display: none;">Download Search Index</button>
+      <button id="downloadTypeGraphBtn" style="display: none;">Download Type Graph (JSON)</button>
+      <button id="downloadTypeGraphDOTBtn" style="display: none;">Download Type Graph (DOT)</button>
+      <button id="downloadExamplesBtn" style="display: none;">Download Examples</button>
+      <button id="extractAllBtn" style="display: none;">Extract all</button>
     </div>
     <pre id="jsonPreview" style="display: none;"></pre>
+    <details id="sourcePanel" style="display: none;">
+      <summary id="sourceCaption">Source</summary>
+      <pre id="sourceView"></pre>
+    </details>
   `;
 });
 